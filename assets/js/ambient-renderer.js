@@ -0,0 +1,963 @@
+/**
+ * AmbientRenderer - Ambient Effects Drawing
+ * Fog, light rays, particles and sparkles drawn into a canvas. Has no DOM
+ * dependencies, so it runs on the main thread or in forest-ambient-worker.js.
+ * Without a canvas it draws as ForestScroller render passes (see getPasses()).
+ * With a `seed` the scene is reproducible: renderAt(progress, time) always
+ * draws the same frame. Particle kinds come from the AmbientRenderer.particleTypes
+ * registry and are blown about by a shared wind field. Light rays fan out from
+ * rayOrigin, or from bright canopy gaps found in the forest frame.
+ *
+ * @version 1.0.0
+ * @author Greenhouse
+ */
+
+class AmbientRenderer {
+  constructor(canvas, config = {}) {
+    this.canvas = canvas; // HTMLCanvasElement, OffscreenCanvas or null (render passes)
+    this.ctx = canvas ? canvas.getContext('2d', { alpha: true }) : null;
+
+    if (canvas && !this.ctx) {
+      throw new Error('2D canvas context unavailable');
+    }
+
+    this.config = config;
+    this.random = AmbientRenderer.createRandom(config.seed); // Math.random without a seed
+
+    // State
+    this.width = 0;
+    this.height = 0;
+    this.particles = [];
+    this.sparkles = [];
+    this.quality = { particleScale: 1, lightRays: true };
+    this.params = { ...AmbientRenderer.defaultParams }; // fog, tint, rays, densities (see ForestAmbient timelines)
+    this.lightRayOpacity = 0;
+    this.scrollProgress = 0;
+    this.velocityMultiplier = 1;
+    this.reducedMotion = false; // no particles, sparkles or burst
+    this.lastTime = null; // time of the last advance()
+    this.parallax = null; // ForestParallax.getState(): target offset, pointer and strengths
+    this.parallaxOffset = { x: 0, y: 0 }; // eased towards the target
+    this.wind = { time: 0, strength: 0 }; // see getWind()
+    this.canopy = []; // bright canopy gaps [{ x, y, brightness }], eased towards canopyTarget
+    this.canopyTarget = []; // latest gaps from ForestAmbient.sampleCanopy()
+  }
+
+  /**
+   * Add a particle type (or replace a built-in one):
+   * { spawn(particle, renderer, initial), update(particle, renderer, frames), draw(ctx, particle, renderer) }.
+   * spawn() places the particle (anywhere when `initial`, else where it enters
+   * the screen); draw() paints it around the origin. Particles leaving the
+   * screen, or whose update() returns true (done), are spawned again as
+   * whichever type the current particleMix picks.
+   */
+  static registerParticleType(name, type) {
+    AmbientRenderer.particleTypes[name] = type;
+  }
+
+  /**
+   * Seeded pseudo-random generator (mulberry32), or Math.random without a seed
+   */
+  static createRandom(seed) {
+    if (seed === undefined || seed === null) return Math.random;
+
+    let state = seed >>> 0;
+
+    return () => {
+      state = (state + 0x6D2B79F5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  /**
+   * Apply a message from ForestAmbient (posted to the worker or called directly)
+   */
+  handleMessage(message) {
+    switch (message.type) {
+      case 'resize':
+        this.resize(message.width, message.height, message.pixelRatio);
+        break;
+      case 'quality':
+        this.setQuality(message.settings);
+        break;
+      case 'state':
+        this.setState(message);
+        break;
+      case 'params':
+        this.setParams(message.params);
+        break;
+      case 'motion':
+        this.reducedMotion = message.reduced;
+        break;
+      case 'render':
+        this.render(message.time);
+        break;
+      case 'parallax':
+        this.parallax = message.state;
+        break;
+      case 'seek':
+        this.seek(message.progress, message.time);
+        break;
+      case 'canopy':
+        this.setCanopy(message.gaps);
+        break;
+    }
+  }
+
+  /**
+   * Resize the drawing buffer (width/height in CSS pixels)
+   */
+  resize(width, height, pixelRatio) {
+    this.width = width;
+    this.height = height;
+
+    if (!this.canvas) return;
+
+    this.canvas.width = width * pixelRatio;
+    this.canvas.height = height * pixelRatio;
+    this.ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+  }
+
+  /**
+   * Apply quality tier settings (particle counts, light rays)
+   */
+  setQuality(settings) {
+    this.quality = settings;
+    this.createParticles();
+    this.createSparkles();
+  }
+
+  /**
+   * Update scroll-driven state
+   */
+  setState({ progress, velocityMultiplier }) {
+    this.scrollProgress = progress;
+    this.velocityMultiplier = velocityMultiplier;
+
+    // Light rays appear more in the middle of the journey
+    const midProgress = 1 - Math.abs(progress - 0.5) * 2;
+    this.lightRayOpacity = midProgress * 0.5 + 0.2; // Always visible with peak at middle
+  }
+
+  /**
+   * Apply atmosphere parameters; particles are added or dropped when a density changes
+   */
+  setParams(params) {
+    const previous = this.params;
+    this.params = params;
+
+    if (params.particleDensity !== previous.particleDensity) this.createParticles();
+    if (params.sparkleDensity !== previous.sparkleDensity) this.createSparkles();
+  }
+
+  /**
+   * Bright gaps in the canopy ([{ x, y, brightness }], fractions of the
+   * screen and 0-1). Rays glide over to moved gaps rather than jump.
+   */
+  setCanopy(gaps) {
+    this.canopyTarget = gaps;
+    this.canopy = gaps.map((gap, i) => (this.canopy[i] && !this.reducedMotion ? this.canopy[i] : { ...gap }));
+  }
+
+  /**
+   * Number of particles to draw at the current quality tier and density
+   */
+  getParticleCount(count, density) {
+    return Math.round(count * this.quality.particleScale * density);
+  }
+
+  /**
+   * Create floating particles (leaves, light specks)
+   */
+  createParticles() {
+    const count = this.getParticleCount(this.config.particleCount, this.params.particleDensity);
+
+    // Keep existing particles so a quality change doesn't reshuffle the scene
+    this.particles.length = Math.min(this.particles.length, count);
+
+    while (this.particles.length < count) {
+      this.particles.push(this.spawnParticle({}, true));
+    }
+  }
+
+  /**
+   * (Re)initialize a particle as a type picked from the particleMix weights
+   */
+  spawnParticle(particle, initial) {
+    // Drop the previous type's state
+    Object.keys(particle).forEach(key => delete particle[key]);
+
+    particle.type = this.pickParticleType();
+    particle.depth = this.random(); // 0 = far, 1 = near
+    particle.opacity = this.random() * 0.6 + 0.3;
+    particle.x = this.random() * this.width;
+    particle.y = initial ? this.random() * this.height : -10;
+
+    AmbientRenderer.particleTypes[particle.type].spawn(particle, this, initial);
+    return particle;
+  }
+
+  /**
+   * Weighted random pick from params.particleMix (unregistered types are skipped)
+   */
+  pickParticleType() {
+    const mix = this.params.particleMix;
+    const names = Object.keys(mix).filter(name => mix[name] > 0 && AmbientRenderer.particleTypes[name]);
+    const total = names.reduce((sum, name) => sum + mix[name], 0);
+
+    let roll = this.random() * total;
+
+    for (const name of names) {
+      roll -= mix[name];
+      if (roll < 0) return name;
+    }
+
+    return names[names.length - 1] || 'speck';
+  }
+
+  /**
+   * Create golden sparkle particles
+   */
+  createSparkles() {
+    const count = this.getParticleCount(this.config.sparkleCount, this.params.sparkleDensity);
+    this.sparkles.length = Math.min(this.sparkles.length, count);
+
+    while (this.sparkles.length < count) {
+      this.sparkles.push({
+        x: this.random() * this.width,
+        y: this.random() * this.height,
+        size: this.random() * 3 + 1,
+        baseSpeedX: (this.random() - 0.5) * 0.4,
+        baseSpeedY: this.random() * 0.3 + 0.1,
+        speedX: 0,
+        speedY: 0,
+        opacity: this.random() * 0.8 + 0.4,
+        twinkle: this.random() * Math.PI * 2,
+        twinkleSpeed: this.random() * 0.05 + 0.02,
+        depth: this.random() * 0.5 + 0.5, // Sparkles are closer
+        huePosition: this.random(), // where in the sparkleHue range (golden by default)
+        pulsePhase: this.random() * Math.PI * 2,
+        pulseSpeed: this.random() * 0.03 + 0.01
+      });
+    }
+  }
+
+  /**
+   * Draw one frame at `time` (ms, the requestAnimationFrame clock). Without a
+   * time the scene is redrawn where it is.
+   */
+  render(time) {
+    this.advance(time);
+    this.draw();
+  }
+
+  /**
+   * Restart the scene from the seed and simulate it up to `time`, so the same
+   * (progress, time) always gives the same frame
+   */
+  seek(progress, time) {
+    this.random = AmbientRenderer.createRandom(this.config.seed || 0);
+    this.particles = [];
+    this.sparkles = [];
+    this.parallaxOffset = { x: 0, y: 0 };
+    this.wind = { time: 0, strength: this.params.windStrength };
+    this.canopy = this.canopyTarget.map(gap => ({ ...gap }));
+    this.createParticles();
+    this.createSparkles();
+    this.setState({ progress, velocityMultiplier: 1 });
+
+    // The scene is statistically settled after a few seconds: only simulate the last stretch
+    if (!this.reducedMotion) {
+      this.update(Math.min(time, AmbientRenderer.maxSeekTime) / AmbientRenderer.frameDuration);
+    }
+
+    this.lastTime = time;
+  }
+
+  /**
+   * Deterministic frame: the seeded scene at `progress` after `time` ms
+   */
+  renderAt(progress, time) {
+    this.seek(progress, time);
+    this.draw();
+  }
+
+  /**
+   * Move particles and sparkles on to `time`. Layers sharing a frame time
+   * advance the scene once.
+   */
+  advance(time) {
+    if (time === undefined) return;
+
+    // Cap the step so a paused loop doesn't resume with a jump
+    const elapsed = this.lastTime === null ? 0 : Math.min(Math.max(time - this.lastTime, 0), 100);
+    this.lastTime = time;
+
+    if (elapsed > 0 && !this.reducedMotion) {
+      this.update(elapsed / AmbientRenderer.frameDuration);
+    }
+  }
+
+  /**
+   * Run the simulation for `frames` (60fps frames, may be fractional), in
+   * steps of at most one frame so the physics stay stable
+   */
+  update(frames) {
+    const steps = Math.ceil(frames);
+
+    for (let i = 0; i < steps; i++) {
+      this.step(frames / steps);
+    }
+  }
+
+  /**
+   * One simulation step
+   */
+  step(frames) {
+    this.updateParallax(frames);
+    this.updateWind(frames);
+    this.updateCanopy(frames);
+    this.updateParticles(frames);
+    this.updateSparkles(frames);
+  }
+
+  /**
+   * Gusts drift on; scrolling stirs the air up and it calms down again
+   */
+  updateWind(frames) {
+    const target = this.params.windStrength * this.velocityMultiplier;
+
+    this.wind.time += frames;
+    this.wind.strength += (target - this.wind.strength) * (1 - Math.pow(0.97, frames));
+  }
+
+  /**
+   * Ease the ray sources towards the latest canopy gaps
+   */
+  updateCanopy(frames) {
+    const factor = 1 - Math.pow(0.92, frames);
+
+    this.canopy.forEach((gap, i) => {
+      const target = this.canopyTarget[i];
+      gap.x += (target.x - gap.x) * factor;
+      gap.y += (target.y - gap.y) * factor;
+      gap.brightness += (target.brightness - gap.brightness) * factor;
+    });
+  }
+
+  /**
+   * Wind at a point in px per frame: the mean strength plus gusts that vary
+   * over the screen and time. Shared by every particle type and the sparkles.
+   */
+  getWind(x, y) {
+    const t = this.wind.time;
+    const gust = Math.sin(t * 0.013 + y * 0.004) * 0.6 + Math.sin(t * 0.031 + x * 0.002) * 0.4;
+
+    return {
+      x: this.wind.strength * (1 + gust),
+      y: this.wind.strength * 0.15 * Math.sin(t * 0.021 + x * 0.003)
+    };
+  }
+
+  /**
+   * Ease the parallax offset towards the pointer/tilt target
+   */
+  updateParallax(frames) {
+    if (!this.parallax) return;
+
+    const factor = 1 - Math.pow(1 - this.parallax.smoothing, frames);
+    this.parallaxOffset.x += (this.parallax.x - this.parallaxOffset.x) * factor;
+    this.parallaxOffset.y += (this.parallax.y - this.parallaxOffset.y) * factor;
+  }
+
+  /**
+   * Parallax displacement of something at `depth` (0 = far, 1 = near): nearer
+   * things move further, against the pointer
+   */
+  getParallaxShift(depth) {
+    const shift = this.parallax ? this.parallax.particleShift * depth : 0;
+
+    return {
+      x: -this.parallaxOffset.x * shift,
+      y: -this.parallaxOffset.y * shift
+    };
+  }
+
+  /**
+   * Push a particle gently away from the pointer
+   */
+  repel(particle, frames) {
+    const pointer = this.parallax && this.parallax.pointer;
+    if (!pointer) return;
+
+    const dx = particle.x - pointer.x;
+    const dy = particle.y - pointer.y;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    const radius = this.parallax.repelRadius;
+
+    if (distance === 0 || distance >= radius) return;
+
+    // Strongest at the pointer, fading to nothing at the radius
+    const push = this.parallax.repelStrength * (1 - distance / radius) * frames;
+    particle.x += (dx / distance) * push;
+    particle.y += (dy / distance) * push;
+  }
+
+  /**
+   * Draw the current scene
+   */
+  draw() {
+    this.ctx.clearRect(0, 0, this.width, this.height);
+
+    // Draw effects in layers
+    this.drawFog();
+    this.drawLightRays();
+    this.drawParticles();
+    this.drawSparkles();
+    this.drawGoldenBurst();
+    this.drawVignette();
+    this.drawColorTint();
+  }
+
+  /**
+   * Effects as ForestScroller render passes, drawn over the frames into the
+   * scroller's canvas. The color tint is not a pass: ForestAmbient hands it to
+   * the scroller's grading, which tints the frame already. The rays sway with
+   * the wind, so they count as animated unless motion is reduced.
+   */
+  getPasses() {
+    const pass = (name, order, animated, draw) => ({
+      name: `ambient-${name}`,
+      order,
+      animated,
+      render: (ctx, info) => {
+        this.ctx = ctx;
+        this.width = info.width;
+        this.height = info.height;
+        if (animated) this.advance(info.time);
+        draw();
+      }
+    });
+
+    return [
+      pass('fog', 10, false, () => this.drawFog()),
+      pass('light-rays', 20, !this.reducedMotion, () => this.drawLightRays()),
+      pass('particles', 30, true, () => this.drawParticles()),
+      pass('sparkles', 40, true, () => this.drawSparkles()),
+      pass('burst', 50, true, () => this.drawGoldenBurst()),
+      pass('vignette', 60, false, () => this.drawVignette())
+    ];
+  }
+
+  /**
+   * Draw atmospheric fog
+   */
+  drawFog() {
+    const gradient = this.ctx.createRadialGradient(
+      this.width / 2,
+      this.height / 2,
+      0,
+      this.width / 2,
+      this.height / 2,
+      this.width * 0.8
+    );
+
+    const { fogIntensity, fogColor: [r, g, b] } = this.params;
+
+    gradient.addColorStop(0, `rgba(255, 255, 255, 0)`);
+    gradient.addColorStop(0.5, `rgba(${r + 10}, ${g + 10}, ${b + 10}, ${fogIntensity * 0.3})`);
+    gradient.addColorStop(1, `rgba(${r - 10}, ${g - 10}, ${b - 10}, ${fogIntensity})`);
+
+    this.ctx.fillStyle = gradient;
+    this.ctx.fillRect(0, 0, this.width, this.height);
+  }
+
+  /**
+   * Draw god rays / light beams: a fan of rayCount rays from rayOrigin. As
+   * rayCanopy rises they move to the bright canopy gaps and run closer to
+   * parallel, like sunlight. rayShimmer makes them flicker and sway.
+   */
+  drawLightRays() {
+    const {
+      lightRayIntensity, rayOrigin, rayAngle, rayCount, raySpread, rayWidth,
+      rayColor: [r, g, b, alpha], rayShimmer, rayCanopy
+    } = this.params;
+
+    const opacity = this.lightRayOpacity * lightRayIntensity * alpha;
+    const count = Math.round(rayCount);
+    if (!this.config.lightRays || !this.quality.lightRays || opacity <= 0 || count <= 0) return;
+
+    const length = this.height * 1.5;
+    const rotation = rayAngle * Math.PI / 180;
+    const spread = raySpread * Math.PI / 180;
+    const halfWidth = rayWidth * Math.PI / 360;
+    const canopy = this.canopy.length ? rayCanopy : 0;
+    const time = this.wind.time; // frames; stands still in reduced motion
+
+    this.ctx.save();
+
+    for (let i = 0; i < count; i++) {
+      const fanAngle = ((i + 0.5) / count - 0.5) * spread;
+      const sway = rayShimmer * 0.03 * Math.sin(time * 0.011 + i * 2.3);
+      const angle = rotation + fanAngle * (1 - canopy * 0.8) + sway;
+
+      let originX = rayOrigin[0];
+      let originY = rayOrigin[1];
+      let brightness = 1;
+
+      if (canopy) {
+        const gap = this.canopy[i % this.canopy.length];
+        originX += (gap.x - originX) * canopy;
+        originY += (gap.y - originY) * canopy;
+        brightness += (0.4 + 0.6 * gap.brightness - 1) * canopy;
+      }
+
+      const flicker = 1 - rayShimmer * 0.6 * (0.5 + 0.5 * Math.sin(time * 0.04 + i * 1.7));
+      const x = this.width * originX;
+      const y = this.height * originY;
+
+      const gradient = this.ctx.createLinearGradient(
+        x,
+        y,
+        x + Math.cos(angle) * length,
+        y + Math.sin(angle) * length
+      );
+
+      gradient.addColorStop(0, `rgba(${r}, ${g}, ${b}, 0.15)`);
+      gradient.addColorStop(0.3, `rgba(${r}, ${g}, ${b}, 0.05)`);
+      gradient.addColorStop(1, `rgba(${r}, ${g}, ${b}, 0)`);
+
+      this.ctx.globalAlpha = Math.min(1, opacity * brightness * flicker);
+      this.ctx.fillStyle = gradient;
+      this.ctx.beginPath();
+      this.ctx.moveTo(x, y);
+      this.ctx.arc(x, y, length, angle - halfWidth, angle + halfWidth);
+      this.ctx.closePath();
+      this.ctx.fill();
+    }
+
+    this.ctx.restore();
+  }
+
+  /**
+   * Keep a drifting sparkle on screen: it re-enters on the opposite side, or
+   * at a random x across the top
+   */
+  wrapAround(particle) {
+    if (particle.x < -10) particle.x = this.width + 10;
+    if (particle.x > this.width + 10) particle.x = -10;
+    if (particle.y > this.height + 10) {
+      particle.y = -10;
+      particle.x = this.random() * this.width;
+    }
+  }
+
+  /**
+   * Whether a particle has left the screen (with a margin for its size)
+   */
+  isOffscreen(particle) {
+    const margin = 40;
+
+    return particle.y > this.height + margin ||
+      particle.y < -margin * 4 ||
+      particle.x < -margin ||
+      particle.x > this.width + margin;
+  }
+
+  /**
+   * Update floating particles; those that left the screen come back as new ones
+   */
+  updateParticles(frames) {
+    this.particles.forEach(particle => {
+      const done = AmbientRenderer.particleTypes[particle.type].update(particle, this, frames) === true;
+      this.repel(particle, frames);
+
+      if (done || this.isOffscreen(particle)) {
+        this.spawnParticle(particle, false);
+      }
+    });
+  }
+
+  /**
+   * Draw floating particles
+   */
+  drawParticles() {
+    if (this.reducedMotion) return;
+
+    this.particles.forEach(particle => {
+      const shift = this.getParallaxShift(particle.depth);
+
+      // Draw particle
+      this.ctx.save();
+      this.ctx.globalAlpha = particle.opacity * (0.5 + particle.depth * 0.5);
+      this.ctx.translate(particle.x + shift.x, particle.y + shift.y);
+
+      AmbientRenderer.particleTypes[particle.type].draw(this.ctx, particle, this);
+
+      this.ctx.restore();
+    });
+  }
+
+  /**
+   * Update golden sparkles
+   */
+  updateSparkles(frames) {
+    const velocityFactor = this.velocityMultiplier;
+
+    this.sparkles.forEach(sparkle => {
+      // Update twinkle and pulse
+      sparkle.twinkle += sparkle.twinkleSpeed * frames;
+      sparkle.pulsePhase += sparkle.pulseSpeed * frames;
+
+      // Apply velocity-based acceleration
+      sparkle.speedX = sparkle.baseSpeedX * velocityFactor;
+      sparkle.speedY = sparkle.baseSpeedY * velocityFactor;
+
+      // Update position, drifting a little with the wind
+      const wind = this.getWind(sparkle.x, sparkle.y);
+      sparkle.x += (sparkle.speedX * (0.8 + sparkle.depth * 0.4) + wind.x * 0.2) * frames;
+      sparkle.y += sparkle.speedY * (0.8 + sparkle.depth * 0.4) * frames;
+
+      this.repel(sparkle, frames);
+      this.wrapAround(sparkle);
+    });
+  }
+
+  /**
+   * Draw golden sparkles
+   */
+  drawSparkles() {
+    if (this.reducedMotion) return;
+
+    const [hueMin, hueMax] = this.params.sparkleHue;
+
+    this.sparkles.forEach(sparkle => {
+      sparkle.hue = hueMin + sparkle.huePosition * (hueMax - hueMin);
+
+      // Calculate twinkling opacity
+      const twinkleOpacity = (Math.sin(sparkle.twinkle) * 0.5 + 0.5);
+      const pulseSize = (Math.sin(sparkle.pulsePhase) * 0.3 + 1);
+      const finalOpacity = sparkle.opacity * twinkleOpacity * (0.6 + this.scrollProgress * 0.4);
+
+      const shift = this.getParallaxShift(sparkle.depth);
+
+      // Draw sparkle
+      this.ctx.save();
+      this.ctx.globalAlpha = finalOpacity;
+      this.ctx.translate(sparkle.x + shift.x, sparkle.y + shift.y);
+
+      // Draw multi-layered sparkle
+      this.drawSparkleGlow(sparkle, pulseSize);
+      this.drawSparkleStar(sparkle, pulseSize);
+
+      this.ctx.restore();
+    });
+  }
+
+  /**
+   * Draw sparkle glow effect
+   */
+  drawSparkleGlow(sparkle, pulseSize) {
+    const size = sparkle.size * pulseSize * (0.8 + sparkle.depth * 0.4);
+
+    const gradient = this.ctx.createRadialGradient(0, 0, 0, 0, 0, size * 3);
+    gradient.addColorStop(0, `hsla(${sparkle.hue}, 100%, 70%, 0.8)`);
+    gradient.addColorStop(0.3, `hsla(${sparkle.hue}, 100%, 60%, 0.4)`);
+    gradient.addColorStop(0.6, `hsla(${sparkle.hue}, 80%, 50%, 0.1)`);
+    gradient.addColorStop(1, 'rgba(255, 215, 0, 0)');
+
+    this.ctx.fillStyle = gradient;
+    this.ctx.beginPath();
+    this.ctx.arc(0, 0, size * 3, 0, Math.PI * 2);
+    this.ctx.fill();
+  }
+
+  /**
+   * Draw sparkle star shape
+   */
+  drawSparkleStar(sparkle, pulseSize) {
+    const size = sparkle.size * pulseSize * (0.6 + sparkle.depth * 0.3);
+    const points = 4;
+
+    this.ctx.fillStyle = `hsla(${sparkle.hue}, 100%, 85%, 0.9)`;
+    this.ctx.beginPath();
+
+    for (let i = 0; i < points * 2; i++) {
+      const angle = (i * Math.PI) / points;
+      const radius = i % 2 === 0 ? size * 2 : size * 0.5;
+      const x = Math.cos(angle) * radius;
+      const y = Math.sin(angle) * radius;
+
+      if (i === 0) {
+        this.ctx.moveTo(x, y);
+      } else {
+        this.ctx.lineTo(x, y);
+      }
+    }
+
+    this.ctx.closePath();
+    this.ctx.fill();
+
+    // Add bright center dot
+    this.ctx.fillStyle = `hsla(${sparkle.hue}, 100%, 95%, 1)`;
+    this.ctx.beginPath();
+    this.ctx.arc(0, 0, size * 0.3, 0, Math.PI * 2);
+    this.ctx.fill();
+  }
+
+  /**
+   * Draw golden burst effect (intensity based on scroll velocity)
+   */
+  drawGoldenBurst() {
+    if (this.reducedMotion || this.velocityMultiplier < 1.2) return;
+
+    const burstIntensity = Math.min((this.velocityMultiplier - 1) / 2, 0.3);
+
+    const gradient = this.ctx.createRadialGradient(
+      this.width / 2,
+      this.height / 2,
+      0,
+      this.width / 2,
+      this.height / 2,
+      this.height * 0.6
+    );
+
+    gradient.addColorStop(0, `rgba(255, 215, 0, ${burstIntensity * 0.15})`);
+    gradient.addColorStop(0.5, `rgba(255, 193, 7, ${burstIntensity * 0.08})`);
+    gradient.addColorStop(1, 'rgba(255, 215, 0, 0)');
+
+    this.ctx.fillStyle = gradient;
+    this.ctx.fillRect(0, 0, this.width, this.height);
+  }
+
+  /**
+   * Draw vignette effect
+   */
+  drawVignette() {
+    const gradient = this.ctx.createRadialGradient(
+      this.width / 2,
+      this.height / 2,
+      this.height * 0.3,
+      this.width / 2,
+      this.height / 2,
+      this.height * 0.8
+    );
+
+    gradient.addColorStop(0, 'rgba(0, 0, 0, 0)');
+    gradient.addColorStop(1, `rgba(0, 0, 0, ${this.params.vignetteIntensity})`);
+
+    this.ctx.fillStyle = gradient;
+    this.ctx.fillRect(0, 0, this.width, this.height);
+  }
+
+  /**
+   * Draw subtle color tint
+   */
+  drawColorTint() {
+    const [r, g, b, alpha] = this.params.colorTint;
+
+    this.ctx.fillStyle = `rgba(${r}, ${g}, ${b}, ${alpha})`;
+    this.ctx.fillRect(0, 0, this.width, this.height);
+  }
+}
+
+/**
+ * Atmosphere parameters: ForestAmbient's static options, presets and timelines
+ * resolve to this shape. Colors are [r, g, b, a].
+ */
+AmbientRenderer.defaultParams = {
+  fogIntensity: 0.15,
+  fogColor: [190, 210, 190, 1], // alpha comes from fogIntensity
+  vignetteIntensity: 0.3,
+  colorTint: [27, 94, 32, 0.08],
+  lightRayIntensity: 1, // scales the mid-journey light ray curve
+  rayOrigin: [0.6, 0.2], // fractions of width / height
+  rayAngle: 0, // degrees; direction of the middle of the fan (0 = right, 90 = down)
+  rayCount: 5, // rounded when drawn
+  raySpread: 72, // degrees covered by the fan
+  rayWidth: 5.7, // degrees per ray
+  rayColor: [255, 250, 200, 1], // alpha scales the rays
+  rayShimmer: 0, // 0-1 flicker and sway
+  rayCanopy: 1, // 0-1 how far rays move from rayOrigin to the canopy gaps (needs canopySampling)
+  particleDensity: 1, // multiplies particleCount
+  particleMix: { speck: 0.7, leaf: 0.3 }, // relative weights of AmbientRenderer.particleTypes
+  windStrength: 0.3, // mean wind in px per frame (negative blows left), raised by scrolling
+  sparkleDensity: 1, // multiplies sparkleCount
+  sparkleHue: [35, 55] // HSL hue range of the sparkles
+};
+
+// Motion speeds are per frame at 60fps
+AmbientRenderer.frameDuration = 1000 / 60;
+
+// seek() simulates at most this much (ms) of a scene's history
+AmbientRenderer.maxSeekTime = 10000;
+
+/**
+ * Built-in particle types (see registerParticleType()). `renderer` gives
+ * random(), getWind(), width, height, velocityMultiplier and config.
+ */
+AmbientRenderer.particleTypes = {
+  // Drifting light specks
+  speck: {
+    spawn(particle, renderer) {
+      particle.size = renderer.random() * 5 + 2;
+      particle.speedX = (renderer.random() - 0.5) * renderer.config.particleSpeed;
+      particle.speedY = renderer.random() * renderer.config.particleSpeed * 0.5 + 0.2;
+    },
+    update(particle, renderer, frames) {
+      const wind = renderer.getWind(particle.x, particle.y);
+      const speed = (1 + particle.depth) * renderer.velocityMultiplier * frames;
+
+      particle.x += (particle.speedX + wind.x * 0.3) * speed;
+      particle.y += (particle.speedY + wind.y * 0.3) * speed;
+    },
+    draw(ctx, particle) {
+      const size = particle.size * (0.5 + particle.depth * 0.5);
+
+      const gradient = ctx.createRadialGradient(0, 0, 0, 0, 0, size);
+      gradient.addColorStop(0, 'rgba(255, 255, 255, 0.8)');
+      gradient.addColorStop(0.5, 'rgba(255, 250, 200, 0.4)');
+      gradient.addColorStop(1, 'rgba(255, 250, 200, 0)');
+
+      ctx.fillStyle = gradient;
+      ctx.beginPath();
+      ctx.arc(0, 0, size, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  },
+
+  // Leaves that flutter: drag towards the wind, a side-to-side swing, and a
+  // tumble that slows their fall while they lie flat
+  leaf: {
+    spawn(particle, renderer) {
+      particle.size = renderer.random() * 4 + 3;
+      particle.vx = 0;
+      particle.fallSpeed = renderer.random() * renderer.config.particleSpeed * 0.8 + 0.4;
+      particle.rotation = renderer.random() * Math.PI * 2;
+      particle.spin = 0;
+      particle.flutter = renderer.random() * Math.PI * 2;
+      particle.flutterSpeed = renderer.random() * 0.04 + 0.02;
+      particle.hueShift = renderer.random() * 30 - 15;
+    },
+    update(particle, renderer, frames) {
+      const wind = renderer.getWind(particle.x, particle.y);
+      const swing = Math.sin(particle.flutter);
+
+      particle.flutter += particle.flutterSpeed * frames;
+
+      particle.vx += (wind.x * (0.5 + particle.depth) - particle.vx) * 0.04 * frames;
+      particle.vx += Math.cos(particle.flutter) * 0.04 * frames;
+      particle.spin += (swing * 0.03 + wind.x * 0.01 - particle.spin) * 0.1 * frames;
+      particle.rotation += particle.spin * frames;
+
+      const fall = particle.fallSpeed * (0.5 + 0.5 * Math.abs(swing)) + wind.y;
+      const speed = renderer.velocityMultiplier * frames;
+
+      particle.x += particle.vx * speed;
+      particle.y += fall * (1 + particle.depth) * speed;
+    },
+    draw(ctx, particle) {
+      const size = particle.size * (0.8 + particle.depth * 0.4);
+      const green = Math.floor(150 + particle.depth * 50);
+
+      ctx.rotate(particle.rotation);
+      ctx.scale(1, 0.3 + 0.7 * Math.abs(Math.cos(particle.flutter))); // tumbling edge-on
+      ctx.fillStyle = `rgb(${green - 50 + particle.hueShift}, ${green}, ${green - 70})`;
+      ctx.beginPath();
+      ctx.ellipse(0, 0, size * 2, size, 0, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  },
+
+  // Rain streaks, slanted by the wind
+  rain: {
+    spawn(particle, renderer, initial) {
+      particle.length = (renderer.random() * 15 + 10) * (0.5 + particle.depth);
+      particle.speed = (renderer.random() * 6 + 8) * (0.5 + particle.depth);
+      particle.vx = 0;
+      particle.opacity *= 0.6;
+      if (!initial) particle.y = -particle.length;
+    },
+    update(particle, renderer, frames) {
+      const wind = renderer.getWind(particle.x, particle.y);
+
+      particle.vx = wind.x * 2 * (0.5 + particle.depth);
+      particle.x += particle.vx * frames;
+      particle.y += particle.speed * frames;
+    },
+    draw(ctx, particle) {
+      const scale = particle.length / Math.sqrt(particle.vx * particle.vx + particle.speed * particle.speed);
+
+      ctx.strokeStyle = 'rgba(210, 225, 240, 0.8)';
+      ctx.lineWidth = 0.5 + particle.depth;
+      ctx.beginPath();
+      ctx.moveTo(0, 0);
+      ctx.lineTo(-particle.vx * scale, -particle.speed * scale);
+      ctx.stroke();
+    }
+  },
+
+  // Fireflies: wander on meandering paths, steer away from the edges, and
+  // glow in short blinks. They don't leave the screen, so they live for a
+  // while and make way for new particles between blinks.
+  firefly: {
+    spawn(particle, renderer) {
+      // Fireflies hover: they appear anywhere rather than entering from the top
+      particle.y = renderer.random() * renderer.height;
+      particle.size = renderer.random() * 1.5 + 1.5;
+      particle.heading = renderer.random() * Math.PI * 2;
+      particle.speed = renderer.random() * 0.5 + 0.3;
+      particle.wander = renderer.random() * Math.PI * 2;
+      particle.wanderSpeed = renderer.random() * 0.03 + 0.01;
+      particle.blink = renderer.random() * Math.PI * 2;
+      particle.blinkSpeed = renderer.random() * 0.04 + 0.02;
+      particle.life = renderer.random() * 900 + 600; // frames
+    },
+    update(particle, renderer, frames) {
+      const margin = 60;
+
+      particle.wander += particle.wanderSpeed * frames;
+      particle.blink += particle.blinkSpeed * frames;
+      particle.heading += Math.sin(particle.wander) * 0.04 * frames;
+
+      // Turn back towards the middle near the edges
+      if (particle.x < margin || particle.x > renderer.width - margin ||
+          particle.y < margin || particle.y > renderer.height - margin) {
+        const home = Math.atan2(renderer.height / 2 - particle.y, renderer.width / 2 - particle.x);
+        const turn = Math.atan2(Math.sin(home - particle.heading), Math.cos(home - particle.heading));
+        particle.heading += turn * 0.05 * frames;
+      }
+
+      const wind = renderer.getWind(particle.x, particle.y);
+      particle.x += (Math.cos(particle.heading) * particle.speed + wind.x * 0.2) * frames;
+      particle.y += (Math.sin(particle.heading) * particle.speed + wind.y * 0.2) * frames;
+
+      particle.life -= frames;
+      return particle.life <= 0 && Math.sin(particle.blink) <= 0; // only while dark
+    },
+    draw(ctx, particle) {
+      // Mostly dark, with a brief glow once per blink cycle
+      const glow = Math.pow(Math.max(0, Math.sin(particle.blink)), 4);
+      if (glow < 0.01) return;
+
+      const radius = particle.size * 4;
+      const gradient = ctx.createRadialGradient(0, 0, 0, 0, 0, radius);
+      gradient.addColorStop(0, `rgba(240, 255, 150, ${glow})`);
+      gradient.addColorStop(0.3, `rgba(200, 240, 80, ${glow * 0.5})`);
+      gradient.addColorStop(1, 'rgba(180, 230, 60, 0)');
+
+      ctx.fillStyle = gradient;
+      ctx.beginPath();
+      ctx.arc(0, 0, radius, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AmbientRenderer;
+}
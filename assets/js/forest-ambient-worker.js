@@ -0,0 +1,59 @@
+/**
+ * Forest Ambient Worker
+ * Draws the ambient layer into a transferred OffscreenCanvas off the main thread
+ *
+ * @version 1.0.0
+ * @author Greenhouse
+ */
+
+importScripts('ambient-renderer.js');
+
+let renderer = null;
+let frameId = null;
+
+// requestAnimationFrame is available in workers that own an OffscreenCanvas in
+// most browsers; fall back to a ~60fps timer elsewhere
+const scheduleFrame = typeof self.requestAnimationFrame === 'function'
+  ? (callback) => self.requestAnimationFrame(callback)
+  : (callback) => setTimeout(() => callback(performance.now()), 16);
+
+const cancelFrame = typeof self.cancelAnimationFrame === 'function'
+  ? (id) => self.cancelAnimationFrame(id)
+  : (id) => clearTimeout(id);
+
+const loop = (timestamp) => {
+  renderer.render(timestamp);
+  frameId = scheduleFrame(loop);
+};
+
+self.onmessage = (event) => {
+  const message = event.data;
+
+  switch (message.type) {
+    case 'init':
+      try {
+        // Scripts registering custom particle types
+        if (message.scripts.length > 0) importScripts(...message.scripts);
+
+        renderer = new AmbientRenderer(message.canvas, message.config);
+      } catch (error) {
+        // Hand drawing back to the main thread
+        self.postMessage({ type: 'error', message: error.message });
+      }
+      break;
+
+    case 'start':
+      if (renderer && frameId === null) loop();
+      break;
+
+    case 'stop':
+      if (frameId !== null) {
+        cancelFrame(frameId);
+        frameId = null;
+      }
+      break;
+
+    default:
+      if (renderer) renderer.handleMessage(message);
+  }
+};
@@ -1,53 +1,405 @@
 /**
  * ForestAmbient - Atmospheric Effects System
- * Particles, fog, light rays, and ambient enhancements
+ * Particles, fog, light rays, and ambient enhancements. Drawing is done by
+ * AmbientRenderer: as render passes in a ForestScroller's canvas, or in an
+ * overlay canvas on the main thread or in an OffscreenCanvas worker. With
+ * canopySampling, light rays come from the bright gaps of the forest frame.
  *
  * @version 1.0.0
  * @author Greenhouse
  */
 
-class ForestAmbient {
+class ForestAmbient extends ForestEvents {
   constructor(options = {}) {
+    super();
+
+    this.unfollowScroller = null;
+    this.followedScroller = null;
+
+    this.configure(options);
+    this.resetState();
+
+    this.init();
+  }
+
+  /**
+   * Build configuration from constructor options
+   */
+  configure(options) {
+    this.options = options;
+
     this.config = {
       particleCount: options.particleCount || 40,
       sparkleCount: options.sparkleCount || 30,
       particleSpeed: options.particleSpeed || 0.3,
-      fogIntensity: options.fogIntensity || 0.15,
-      vignetteIntensity: options.vignetteIntensity || 0.3,
+      fogIntensity: options.fogIntensity !== undefined ? options.fogIntensity : null, // null = preset / default (0.15)
+      vignetteIntensity: options.vignetteIntensity !== undefined ? options.vignetteIntensity : null, // default 0.3
       lightRays: options.lightRays !== false,
+      canopySampling: options.canopySampling || false, // rays from bright gaps in the scroller's frame (see sampleCanopy())
+      canopyInterval: options.canopyInterval || 200, // ms between canopy samples
       soundEnabled: options.soundEnabled || false,
-      colorTint: options.colorTint || 'rgba(27, 94, 32, 0.08)'
+      sound: options.sound || {}, // ForestSoundscape options (layers, volume, toggle, ...)
+      colorTint: options.colorTint || null, // CSS color or [r, g, b, a]; default rgba(27, 94, 32, 0.08)
+      preset: options.preset || null, // base atmosphere: a ForestAmbient.presets name or params object
+      timeline: options.timeline || null, // [{ progress | chapter, preset, easing, ...params }]
+      quality: options.quality || null, // shared QualityGovernor (one is created if omitted)
+      adaptiveQuality: options.adaptiveQuality !== false,
+      scroller: options.scroller || null, // ForestScroller to draw into as render passes
+      parallax: options.parallax || null, // shared ForestParallax: particles move by depth, avoid the pointer
+      reducedMotion: options.reducedMotion !== undefined ? options.reducedMotion : 'auto', // 'auto' | true | false
+      offscreen: options.offscreen || false, // overlay canvas only: draw in a worker via OffscreenCanvas
+      workerUrl: options.workerUrl || 'assets/js/forest-ambient-worker.js',
+      workerScripts: options.workerScripts || [], // URLs the worker imports, e.g. custom particle types
+      seed: options.seed !== undefined ? options.seed : null, // number: reproducible particles (see renderAt())
+      scheduler: options.scheduler || ForestEvents.defaultScheduler, // { requestFrame, cancelFrame }; the worker uses its own
+      clock: options.clock || ForestEvents.defaultClock // () => ms
     };
+  }
 
+  /**
+   * Reset runtime state (also used when re-initializing)
+   */
+  resetState() {
     this.canvas = null;
-    this.ctx = null;
-    this.particles = [];
-    this.sparkles = [];
-    this.lightRayOpacity = 0;
+    this.renderer = null; // in-thread AmbientRenderer
+    this.soundscape = null; // ForestSoundscape when soundEnabled
+    this.worker = null; // or the worker drawing into the transferred canvas
+    this.quality = null;
+    this.passRemovers = [];
+    this.timelineStops = []; // [{ progress, params, ease }] sorted by progress
+    this.lastParamsKey = null; // last params sent, serialized
+    this.canopyCanvas = null; // small canvas the forest frame is read back through
+    this.canopyTime = null; // time of the last canopy sample
     this.animationFrameId = null;
     this.scrollProgress = 0;
     this.scrollVelocity = 0;
     this.lastScrollY = 0;
     this.velocityMultiplier = 1;
-
-    this.init();
+    this.decayInterval = null; // runs while not suspended (see onSuspendChange())
   }
 
   /**
    * Initialize ambient system
    */
   init() {
-    this.createCanvas();
-    this.createParticles();
-    this.createSparkles();
-    this.startAnimation();
+    this.setupQuality();
+    this.watchReducedMotion(this.config.reducedMotion);
+    this.setupParallax();
+    this.buildTimeline();
+
+    if (this.config.scroller) {
+      this.mergeInto(this.config.scroller);
+    } else {
+      this.createCanvas();
+      this.createRenderer(this.config.offscreen && ForestAmbient.isOffscreenSupported());
+      this.listen(window, 'resize', () => this.resizeCanvas());
+    }
+
     this.trackScrollVelocity();
 
+    // Nothing runs while the tab is hidden or the followed scroller is out of
+    // its range (the overlay is fixed to the viewport, so never "offscreen")
+    this.watchVisibility(null);
+    if (!this.isSuspended()) {
+      this.onSuspendChange(false);
+    }
+
     if (this.config.soundEnabled) {
       this.initAmbientSound();
     }
 
     console.log('🌿 ForestAmbient: Initialized');
+
+    // Deferred so listeners attached right after construction still hear it
+    Promise.resolve().then(() => this.emit('ready'));
+  }
+
+  /**
+   * Drive effects from a ForestScroller's progress events
+   */
+  follow(scroller) {
+    this.unfollow();
+
+    const offProgress = scroller.on('progress', ({ progress }) => {
+      this.updateProgress(progress);
+
+      // Overlay canvas: the scroller's canvas holds just the forest (merged, a pass samples it)
+      if (!this.config.scroller) this.sampleCanopy(scroller.canvas, this.config.clock());
+    });
+    const offDestroy = scroller.on('destroy', () => this.unfollow());
+    const offRange = scroller.on('rangechange', ({ hidden }) => this.setSuspendReason('outofrange', hidden));
+
+    this.followedScroller = scroller;
+    this.unfollowScroller = () => {
+      offProgress();
+      offDestroy();
+      offRange();
+      this.followedScroller = null;
+      this.setSuspendReason('outofrange', false);
+    };
+
+    this.setSuspendReason('outofrange', scroller.suspendReasons.has('outofrange'));
+
+    // Chapter keyframes resolve against this scroller's chapters
+    if (this.config.timeline) {
+      this.buildTimeline();
+      this.sendParams();
+    }
+  }
+
+  /**
+   * Stop following the scroller
+   */
+  unfollow() {
+    if (this.unfollowScroller) {
+      this.unfollowScroller();
+      this.unfollowScroller = null;
+    }
+  }
+
+  /**
+   * Register a particle type for every ambient layer on the page (see
+   * AmbientRenderer.registerParticleType()). In offscreen mode, register it in
+   * a script listed in `workerScripts` as well.
+   */
+  static registerParticleType(name, type) {
+    AmbientRenderer.registerParticleType(name, type);
+  }
+
+  /**
+   * Whether this browser can draw the ambient layer in a worker
+   */
+  static isOffscreenSupported() {
+    return typeof Worker !== 'undefined' &&
+      typeof OffscreenCanvas !== 'undefined' &&
+      typeof HTMLCanvasElement.prototype.transferControlToOffscreen === 'function';
+  }
+
+  /**
+   * Attach to the shared quality governor (or create our own)
+   */
+  setupQuality() {
+    this.quality = this.config.quality || new QualityGovernor({ adaptive: this.config.adaptiveQuality });
+
+    if (!this.config.quality) {
+      this.addDisposer(() => this.quality.destroy());
+    }
+
+    this.addDisposer(this.quality.on('change', ({ settings }) => {
+      this.resizeCanvas();
+      this.send({ type: 'quality', settings });
+    }));
+  }
+
+  /**
+   * Forward pointer/tilt state to the renderer, which eases it per frame
+   */
+  setupParallax() {
+    const parallax = this.config.parallax;
+    if (!parallax) return;
+
+    this.addDisposer(parallax.on('change', (state) => this.send({ type: 'parallax', state })));
+  }
+
+  /**
+   * Atmosphere without a timeline: defaults, then the preset, then explicit options
+   */
+  getBaseParams() {
+    const params = { ...AmbientRenderer.defaultParams, ...this.resolvePreset(this.config.preset) };
+
+    if (this.config.fogIntensity !== null) params.fogIntensity = this.config.fogIntensity;
+    if (this.config.vignetteIntensity !== null) params.vignetteIntensity = this.config.vignetteIntensity;
+    if (this.config.colorTint) params.colorTint = this.config.colorTint;
+
+    return this.normalizeParams(params);
+  }
+
+  /**
+   * A preset by name (see ForestAmbient.presets), or a params object as is
+   */
+  resolvePreset(preset) {
+    if (!preset) return {};
+    if (typeof preset !== 'string') return preset;
+
+    if (!ForestAmbient.presets[preset]) {
+      console.warn(`⚠️  ForestAmbient: Unknown preset "${preset}"`);
+      return {};
+    }
+
+    return ForestAmbient.presets[preset];
+  }
+
+  /**
+   * Keep only known parameters and turn CSS colors into [r, g, b, a]
+   */
+  normalizeParams(params) {
+    const normalized = {};
+
+    Object.keys(AmbientRenderer.defaultParams).forEach(key => {
+      const value = params[key] !== undefined ? params[key] : AmbientRenderer.defaultParams[key];
+      if (key === 'colorTint' || key === 'fogColor' || key === 'rayColor') {
+        normalized[key] = this.parseColor(value);
+      } else if (key === 'particleMix') {
+        normalized[key] = { ...value };
+      } else {
+        normalized[key] = value;
+      }
+    });
+
+    return normalized;
+  }
+
+  /**
+   * Parse '#rrggbb', 'rgb()' / 'rgba()' or an [r, g, b(, a)] array into [r, g, b, a]
+   */
+  parseColor(color) {
+    if (Array.isArray(color)) {
+      return color.length === 3 ? [...color, 1] : color;
+    }
+
+    const hex = /^#([0-9a-f]{6})$/i.exec(color);
+    if (hex) {
+      const value = parseInt(hex[1], 16);
+      return [value >> 16, (value >> 8) & 255, value & 255, 1];
+    }
+
+    const [r = 0, g = 0, b = 0, alpha = 1] = (color.match(/[\d.]+/g) || []).map(Number);
+    return [r, g, b, alpha];
+  }
+
+  /**
+   * Resolve the timeline's keyframes to progress positions and full parameter
+   * sets. Each keyframe builds on the base atmosphere: its preset, then its own
+   * parameters. Keyframes keyed by `chapter` sit where that chapter's stretch
+   * of the clip begins (or `progress` of the way into it).
+   */
+  buildTimeline() {
+    const base = this.getBaseParams();
+
+    this.timelineStops = (this.config.timeline || [])
+      .map(keyframe => ({
+        progress: this.resolveKeyframeProgress(keyframe),
+        params: this.normalizeParams({ ...base, ...this.resolvePreset(keyframe.preset), ...keyframe }),
+        ease: this.getEasing(keyframe.easing)
+      }))
+      .filter(stop => stop.progress !== null)
+      .sort((a, b) => a.progress - b.progress);
+  }
+
+  /**
+   * Progress (0-1) of a keyframe, or null when its chapter doesn't exist
+   */
+  resolveKeyframeProgress(keyframe) {
+    if (keyframe.chapter === undefined) return keyframe.progress || 0;
+
+    const scroller = this.config.scroller || this.followedScroller;
+    const chapter = ((scroller && scroller.config.chapters) || []).find(c => c.name === keyframe.chapter);
+
+    if (!chapter) {
+      console.warn(`⚠️  ForestAmbient: Timeline chapter "${keyframe.chapter}" not found`);
+      return null;
+    }
+
+    const [from, to] = chapter.frames
+      ? chapter.frames.map(frame => frame / (scroller.config.totalFrames - 1))
+      : chapter.progress || [0, 1];
+
+    return from + (to - from) * (keyframe.progress || 0);
+  }
+
+  /**
+   * Resolve an easing name (see ForestScroller.easings) or function; linear otherwise
+   */
+  getEasing(easing) {
+    if (typeof easing === 'function') return easing;
+
+    const easings = typeof ForestScroller !== 'undefined' ? ForestScroller.easings : {};
+    return easings[easing] || (t => t);
+  }
+
+  /**
+   * Atmosphere at `progress`: interpolated between the surrounding keyframes,
+   * eased by the earlier one's easing
+   */
+  getParams(progress) {
+    const stops = this.timelineStops;
+
+    if (stops.length === 0) return this.getBaseParams();
+    if (progress <= stops[0].progress) return stops[0].params;
+
+    for (let i = 1; i < stops.length; i++) {
+      const next = stops[i];
+      if (progress < next.progress) {
+        const previous = stops[i - 1];
+        const factor = previous.ease((progress - previous.progress) / (next.progress - previous.progress));
+        return this.lerpParams(previous.params, next.params, factor);
+      }
+    }
+
+    return stops[stops.length - 1].params;
+  }
+
+  /**
+   * Interpolate every numeric, array and weight-map (particleMix) parameter
+   */
+  lerpParams(from, to, factor) {
+    const params = {};
+    const lerp = (start, end) => start + (end - start) * factor;
+
+    Object.keys(from).forEach(key => {
+      if (Array.isArray(from[key])) {
+        params[key] = from[key].map((value, i) => lerp(value, to[key][i]));
+      } else if (typeof from[key] === 'object') {
+        // A type missing on one side has weight 0 there
+        params[key] = {};
+        new Set([...Object.keys(from[key]), ...Object.keys(to[key])]).forEach(name => {
+          params[key][name] = lerp(from[key][name] || 0, to[key][name] || 0);
+        });
+      } else {
+        params[key] = lerp(from[key], to[key]);
+      }
+    });
+
+    return params;
+  }
+
+  /**
+   * Switch to another timeline (or preset only, with null) at runtime
+   */
+  setTimeline(timeline) {
+    this.config.timeline = timeline;
+    this.buildTimeline();
+    this.sendParams();
+  }
+
+  /**
+   * Push the atmosphere for the current progress when it changed
+   */
+  sendParams() {
+    const params = this.getParams(this.scrollProgress);
+    const key = JSON.stringify(params);
+
+    if (key === this.lastParamsKey) return;
+    this.lastParamsKey = key;
+
+    this.send({ type: 'params', params });
+
+    // Merged: the tint goes into the scroller's grading (also redrawing the
+    // fog and vignette it caches while it rests)
+    if (this.config.scroller && this.renderer) {
+      this.config.scroller.setGradingOverride(this.getGradingOverride(params));
+    }
+  }
+
+  /**
+   * The scroller grading for the atmosphere's colorTint, or null to keep the
+   * scroller's own tint when no option, preset or timeline sets one
+   */
+  getGradingOverride(params) {
+    if (!this.config.colorTint && !this.config.preset && !this.timelineStops.length) return null;
+
+    const [r, g, b, alpha] = params.colorTint;
+    return { tint: [r, g, b], tintOpacity: alpha };
   }
 
   /**
@@ -67,437 +419,606 @@ class ForestAmbient {
       opacity: 0.9;
     `;
 
-    this.ctx = this.canvas.getContext('2d', { alpha: true });
-
     // Insert after forest canvas
     const forestCanvas = document.getElementById('forest-canvas');
     if (forestCanvas && forestCanvas.parentElement) {
       forestCanvas.parentElement.appendChild(this.canvas);
     }
+  }
 
+  /**
+   * Draw on the main thread, or hand the canvas to a worker
+   */
+  createRenderer(useWorker) {
+    // Worker first: once transferred, the canvas can't fall back to a 2D context
+    if (useWorker) {
+      try {
+        this.worker = new Worker(this.config.workerUrl);
+      } catch (error) {
+        console.warn('⚠️  ForestAmbient: Worker unavailable, drawing on the main thread:', error.message);
+        useWorker = false;
+      }
+    }
+
+    if (useWorker) {
+      this.worker.onmessage = (event) => {
+        if (event.data.type === 'error') {
+          this.fallbackToMainThread(event.data.message);
+        }
+      };
+      this.worker.onerror = (event) => {
+        event.preventDefault();
+        this.fallbackToMainThread(event.message || 'worker error');
+      };
+
+      try {
+        const offscreen = this.canvas.transferControlToOffscreen();
+
+        this.worker.postMessage({
+          type: 'init',
+          canvas: offscreen,
+          config: this.getRendererConfig(),
+          scripts: this.config.workerScripts.map(url => new URL(url, location.href).href)
+        }, [offscreen]);
+      } catch (error) {
+        // Swaps in a fresh canvas and sets everything up on the main thread
+        this.fallbackToMainThread(error.message);
+        return;
+      }
+    } else {
+      this.renderer = new AmbientRenderer(this.canvas, this.getRendererConfig());
+    }
+
+    // Size and densities first: particles are scattered across the canvas when created
     this.resizeCanvas();
-    window.addEventListener('resize', () => this.resizeCanvas());
+    this.lastParamsKey = null;
+    this.sendParams();
+    this.send({ type: 'quality', settings: this.quality.getSettings() });
+    this.send({ type: 'motion', reduced: this.reducedMotion });
+    this.sendParallax();
+    this.sendState();
   }
 
   /**
-   * Resize canvas
+   * Draw as render passes in the scroller's canvas instead of an overlay: one
+   * compositing layer, one render loop (the scroller's)
    */
-  resizeCanvas() {
-    const dpr = window.devicePixelRatio || 1;
-    this.canvas.width = window.innerWidth * dpr;
-    this.canvas.height = window.innerHeight * dpr;
-    this.canvas.style.width = `${window.innerWidth}px`;
-    this.canvas.style.height = `${window.innerHeight}px`;
-    this.ctx.scale(dpr, dpr);
+  mergeInto(scroller) {
+    this.renderer = new AmbientRenderer(null, this.getRendererConfig());
+
+    // Passes get the real size each frame; this only seeds particle positions
+    this.send({ type: 'resize', width: window.innerWidth, height: window.innerHeight });
+    this.lastParamsKey = null;
+    this.sendParams();
+    this.send({ type: 'quality', settings: this.quality.getSettings() });
+    this.send({ type: 'motion', reduced: this.reducedMotion });
+    this.sendParallax();
+    this.sendState();
+
+    this.registerPasses();
+    this.addDisposer(() => this.unregisterPasses());
+    this.addDisposer(() => scroller.setGradingOverride(null));
+    this.follow(scroller);
   }
 
   /**
-   * Create floating particles (leaves, light specks)
+   * Add the render passes to the scroller (without the moving ones in reduced motion)
    */
-  createParticles() {
-    this.particles = [];
+  registerPasses() {
+    this.unregisterPasses();
 
-    for (let i = 0; i < this.config.particleCount; i++) {
-      this.particles.push({
-        x: Math.random() * window.innerWidth,
-        y: Math.random() * window.innerHeight,
-        size: Math.random() * 5 + 2,
-        speedX: (Math.random() - 0.5) * this.config.particleSpeed,
-        speedY: Math.random() * this.config.particleSpeed * 0.5 + 0.2,
-        opacity: Math.random() * 0.6 + 0.3,
-        rotation: Math.random() * Math.PI * 2,
-        rotationSpeed: (Math.random() - 0.5) * 0.02,
-        depth: Math.random(), // 0 = far, 1 = near
-        type: Math.random() > 0.7 ? 'leaf' : 'speck'
-      });
+    const passes = this.renderer.getPasses().filter(pass => !(this.reducedMotion && pass.animated));
+
+    // Read the canopy after the frame is drawn, before fog and rays cover it
+    if (this.config.canopySampling) {
+      passes.push({ name: 'ambient-canopy', order: 5, render: (ctx, info) => this.sampleCanopy(ctx.canvas, info.time) });
     }
+
+    this.passRemovers = passes.map(pass => this.config.scroller.addPass(pass));
   }
 
   /**
-   * Create golden sparkle particles
+   * Find the bright gaps in the forest frame on `source` (a canvas) and send
+   * them to the renderer as ray sources. At most every canopyInterval ms of
+   * `time`; a time going backwards (renderAt()) samples again.
    */
-  createSparkles() {
-    this.sparkles = [];
+  sampleCanopy(source, time) {
+    if (!this.config.canopySampling || !source) return;
 
-    for (let i = 0; i < this.config.sparkleCount; i++) {
-      this.sparkles.push({
-        x: Math.random() * window.innerWidth,
-        y: Math.random() * window.innerHeight,
-        size: Math.random() * 3 + 1,
-        baseSpeedX: (Math.random() - 0.5) * 0.4,
-        baseSpeedY: Math.random() * 0.3 + 0.1,
-        speedX: 0,
-        speedY: 0,
-        opacity: Math.random() * 0.8 + 0.4,
-        twinkle: Math.random() * Math.PI * 2,
-        twinkleSpeed: Math.random() * 0.05 + 0.02,
-        depth: Math.random() * 0.5 + 0.5, // Sparkles are closer
-        hue: Math.random() * 20 + 35, // Golden hues (35-55)
-        pulsePhase: Math.random() * Math.PI * 2,
-        pulseSpeed: Math.random() * 0.03 + 0.01
-      });
+    const elapsed = time - this.canopyTime;
+    if (this.canopyTime !== null && elapsed >= 0 && elapsed < this.config.canopyInterval) return;
+    this.canopyTime = time;
+
+    const { columns, rows } = ForestAmbient.canopyGrid;
+
+    if (!this.canopyCanvas) {
+      this.canopyCanvas = document.createElement('canvas');
+      this.canopyCanvas.width = columns;
+      this.canopyCanvas.height = rows;
     }
+
+    const ctx = this.canopyCanvas.getContext('2d', { willReadFrequently: true });
+    let data;
+
+    try {
+      ctx.drawImage(source, 0, 0, columns, rows);
+      data = ctx.getImageData(0, 0, columns, rows).data;
+    } catch (error) {
+      // e.g. frames from another origin without CORS taint the canvas
+      console.warn('⚠️  ForestAmbient: Canopy sampling unavailable, rays keep to rayOrigin:', error);
+      this.config.canopySampling = false;
+      return;
+    }
+
+    this.send({ type: 'canopy', gaps: this.findCanopyGaps(data, columns, rows) });
   }
 
   /**
-   * Track scroll velocity for acceleration
+   * Local luminance peaks in the top `region` of an RGBA grid that stand out
+   * from the average, brightest first, kept `spacing` cells apart. Returned
+   * left to right (so rays keep to their gap) as { x, y, brightness 0-1 }.
    */
-  trackScrollVelocity() {
-    window.addEventListener('scroll', () => {
-      const currentScrollY = window.pageYOffset;
-      const deltaScroll = Math.abs(currentScrollY - this.lastScrollY);
+  findCanopyGaps(data, columns, rows) {
+    const { region, threshold, spacing, maxGaps } = ForestAmbient.canopyGrid;
+    const regionRows = Math.max(1, Math.round(rows * region));
+    const luminance = new Float32Array(columns * regionRows);
+    let total = 0;
+
+    for (let i = 0; i < luminance.length; i++) {
+      luminance[i] = (0.2126 * data[i * 4] + 0.7152 * data[i * 4 + 1] + 0.0722 * data[i * 4 + 2]) / 255;
+      total += luminance[i];
+    }
 
-      // Calculate velocity (0-1 range, capped)
-      this.scrollVelocity = Math.min(deltaScroll / 50, 3);
+    const mean = total / luminance.length;
+    const at = (column, row) => luminance[row * columns + column];
+    const peaks = [];
+
+    for (let row = 0; row < regionRows; row++) {
+      for (let column = 0; column < columns; column++) {
+        const value = at(column, row);
+        if (value < mean + threshold) continue;
+
+        let isPeak = true;
+        for (let dy = -1; dy <= 1 && isPeak; dy++) {
+          for (let dx = -1; dx <= 1; dx++) {
+            const x = column + dx;
+            const y = row + dy;
+            if ((dx || dy) && x >= 0 && x < columns && y >= 0 && y < regionRows && at(x, y) > value) {
+              isPeak = false;
+              break;
+            }
+          }
+        }
+
+        if (isPeak) peaks.push({ column, row, value });
+      }
+    }
 
-      // Smooth velocity changes
-      this.velocityMultiplier = this.velocityMultiplier * 0.9 + this.scrollVelocity * 0.1;
+    const gaps = [];
 
-      this.lastScrollY = currentScrollY;
-    }, { passive: true });
+    peaks.sort((a, b) => b.value - a.value).forEach(peak => {
+      if (gaps.length >= maxGaps) return;
+      if (gaps.some(gap => Math.abs(gap.column - peak.column) < spacing && Math.abs(gap.row - peak.row) < spacing)) return;
+      gaps.push(peak);
+    });
 
-    // Decay velocity over time
-    setInterval(() => {
-      this.scrollVelocity *= 0.95;
-      this.velocityMultiplier = Math.max(1, this.velocityMultiplier * 0.98);
-    }, 50);
+    return gaps
+      .sort((a, b) => a.column - b.column)
+      .map(({ column, row, value }) => ({
+        x: (column + 0.5) / columns,
+        y: (row + 0.5) / rows,
+        brightness: Math.min(1, (value - mean) / Math.max(1 - mean, 0.01))
+      }));
   }
 
   /**
-   * Update scroll progress for effects
+   * Remove the render passes from the scroller
    */
-  updateProgress(progress) {
-    this.scrollProgress = progress;
+  unregisterPasses() {
+    this.passRemovers.forEach(remove => remove());
+    this.passRemovers = [];
+  }
 
-    // Light rays appear more in the middle of the journey
-    const midProgress = 1 - Math.abs(progress - 0.5) * 2;
-    this.lightRayOpacity = midProgress * 0.5 + 0.2; // Always visible with peak at middle
+  /**
+   * Options the renderer needs (plain data, so it can be posted to the worker)
+   */
+  getRendererConfig() {
+    const { particleCount, sparkleCount, particleSpeed, lightRays, seed } = this.config;
+    return { particleCount, sparkleCount, particleSpeed, lightRays, seed };
   }
 
   /**
-   * Start animation loop
+   * Deliver a message to the renderer, wherever it runs
    */
-  startAnimation() {
-    const animate = () => {
-      this.ctx.clearRect(0, 0, window.innerWidth, window.innerHeight);
-
-      // Draw effects in layers
-      this.drawFog();
-      this.drawLightRays();
-      this.drawParticles();
-      this.drawSparkles();
-      this.drawGoldenBurst();
-      this.drawVignette();
-      this.drawColorTint();
-
-      this.animationFrameId = requestAnimationFrame(animate);
-    };
+  send(message) {
+    if (this.worker) {
+      this.worker.postMessage(message);
+    } else if (this.renderer) {
+      this.renderer.handleMessage(message);
+    }
+  }
 
-    animate();
+  /**
+   * Push the current parallax state to a new renderer
+   */
+  sendParallax() {
+    if (this.config.parallax) {
+      this.send({ type: 'parallax', state: this.config.parallax.getState() });
+    }
   }
 
   /**
-   * Draw atmospheric fog
+   * Push scroll progress and velocity to the renderer
    */
-  drawFog() {
-    const gradient = this.ctx.createRadialGradient(
-      window.innerWidth / 2,
-      window.innerHeight / 2,
-      0,
-      window.innerWidth / 2,
-      window.innerHeight / 2,
-      window.innerWidth * 0.8
-    );
+  sendState() {
+    this.send({ type: 'state', progress: this.scrollProgress, velocityMultiplier: this.velocityMultiplier });
 
-    gradient.addColorStop(0, `rgba(255, 255, 255, 0)`);
-    gradient.addColorStop(0.5, `rgba(200, 220, 200, ${this.config.fogIntensity * 0.3})`);
-    gradient.addColorStop(1, `rgba(180, 200, 180, ${this.config.fogIntensity})`);
+    if (this.soundscape) {
+      this.soundscape.setState({
+        progress: this.scrollProgress,
+        velocity: Math.max(0, Math.min(1, (this.velocityMultiplier - 1) / 2))
+      });
+    }
 
-    this.ctx.fillStyle = gradient;
-    this.ctx.fillRect(0, 0, window.innerWidth, window.innerHeight);
+    // Reduced motion overlay: no loop, redraw only when something changed
+    if (this.reducedMotion && this.canvas && !this.isSuspended()) {
+      this.send({ type: 'render' });
+    }
   }
 
   /**
-   * Draw god rays / light beams
+   * The worker couldn't draw (e.g. no 2D context on OffscreenCanvas): continue in-thread
    */
-  drawLightRays() {
-    if (!this.config.lightRays || this.lightRayOpacity <= 0) return;
+  fallbackToMainThread(reason) {
+    if (!this.worker) return;
 
-    const rayCount = 5;
-    const centerX = window.innerWidth * 0.6;
-    const centerY = window.innerHeight * 0.2;
+    console.warn('⚠️  ForestAmbient: Worker rendering unavailable, drawing on the main thread:', reason);
 
-    this.ctx.save();
-    this.ctx.globalAlpha = this.lightRayOpacity;
+    this.worker.terminate();
+    this.worker = null;
 
-    for (let i = 0; i < rayCount; i++) {
-      const angle = (i / rayCount) * Math.PI * 0.4 - Math.PI * 0.2;
-      const gradient = this.ctx.createLinearGradient(
-        centerX,
-        centerY,
-        centerX + Math.cos(angle) * window.innerHeight * 1.5,
-        centerY + Math.sin(angle) * window.innerHeight * 1.5
-      );
+    // A transferred canvas can't hand out a 2D context again: swap in a fresh one
+    const transferred = this.canvas;
+    this.createCanvas();
+    transferred.remove();
 
-      gradient.addColorStop(0, 'rgba(255, 250, 200, 0.15)');
-      gradient.addColorStop(0.3, 'rgba(255, 250, 200, 0.05)');
-      gradient.addColorStop(1, 'rgba(255, 250, 200, 0)');
+    this.createRenderer(false);
+    this.onSuspendChange(this.isSuspended());
+  }
 
-      this.ctx.fillStyle = gradient;
-      this.ctx.beginPath();
-      this.ctx.moveTo(centerX, centerY);
-      this.ctx.arc(
-        centerX,
-        centerY,
-        window.innerHeight * 1.5,
-        angle - 0.05,
-        angle + 0.05
-      );
-      this.ctx.closePath();
-      this.ctx.fill();
-    }
+  /**
+   * Resize canvas
+   */
+  resizeCanvas() {
+    if (!this.canvas) return; // render passes are sized by the scroller
 
-    this.ctx.restore();
+    const pixelRatio = (window.devicePixelRatio || 1) * this.quality.getSettings().pixelRatioScale;
+    this.canvas.style.width = `${window.innerWidth}px`;
+    this.canvas.style.height = `${window.innerHeight}px`;
+    this.send({ type: 'resize', width: window.innerWidth, height: window.innerHeight, pixelRatio });
   }
 
   /**
-   * Draw and update floating particles
+   * Track scroll velocity for acceleration
    */
-  drawParticles() {
-    this.particles.forEach(particle => {
-      // Update position with velocity multiplier
-      const velocityFactor = this.velocityMultiplier;
-      particle.x += particle.speedX * (1 + particle.depth) * velocityFactor;
-      particle.y += particle.speedY * (1 + particle.depth) * velocityFactor;
-      particle.rotation += particle.rotationSpeed * velocityFactor;
+  trackScrollVelocity() {
+    this.listen(window, 'scroll', () => {
+      const currentScrollY = window.pageYOffset;
+      const deltaScroll = Math.abs(currentScrollY - this.lastScrollY);
 
-      // Wrap around screen
-      if (particle.x < -10) particle.x = window.innerWidth + 10;
-      if (particle.x > window.innerWidth + 10) particle.x = -10;
-      if (particle.y > window.innerHeight + 10) {
-        particle.y = -10;
-        particle.x = Math.random() * window.innerWidth;
-      }
+      // Calculate velocity (0-1 range, capped)
+      this.scrollVelocity = Math.min(deltaScroll / 50, 3);
 
-      // Draw particle
-      this.ctx.save();
-      this.ctx.globalAlpha = particle.opacity * (0.5 + particle.depth * 0.5);
-      this.ctx.translate(particle.x, particle.y);
-      this.ctx.rotate(particle.rotation);
+      // Smooth velocity changes
+      this.velocityMultiplier = this.velocityMultiplier * 0.9 + this.scrollVelocity * 0.1;
 
-      if (particle.type === 'leaf') {
-        this.drawLeaf(particle);
-      } else {
-        this.drawSpeck(particle);
-      }
+      this.lastScrollY = currentScrollY;
+      this.sendState();
+    }, { passive: true });
 
-      this.ctx.restore();
-    });
+    this.addDisposer(() => this.stopVelocityDecay());
   }
 
   /**
-   * Draw leaf-shaped particle
+   * Decay velocity over time
    */
-  drawLeaf(particle) {
-    const size = particle.size * (0.8 + particle.depth * 0.4);
-    const green = Math.floor(150 + particle.depth * 50);
+  startVelocityDecay() {
+    if (this.decayInterval) return;
+
+    this.decayInterval = setInterval(() => {
+      const previousMultiplier = this.velocityMultiplier;
+
+      this.scrollVelocity *= 0.95;
+      this.velocityMultiplier = Math.max(1, this.velocityMultiplier * 0.98);
 
-    this.ctx.fillStyle = `rgb(${green - 50}, ${green}, ${green - 70})`;
-    this.ctx.beginPath();
-    this.ctx.ellipse(0, 0, size * 2, size, 0, 0, Math.PI * 2);
-    this.ctx.fill();
+      // At rest the multiplier sits at 1: nothing to post
+      if (this.velocityMultiplier !== previousMultiplier) {
+        this.sendState();
+      }
+    }, 50);
   }
 
   /**
-   * Draw light speck particle
+   * Stop the velocity decay timer
    */
-  drawSpeck(particle) {
-    const size = particle.size * (0.5 + particle.depth * 0.5);
-
-    const gradient = this.ctx.createRadialGradient(0, 0, 0, 0, 0, size);
-    gradient.addColorStop(0, 'rgba(255, 255, 255, 0.8)');
-    gradient.addColorStop(0.5, 'rgba(255, 250, 200, 0.4)');
-    gradient.addColorStop(1, 'rgba(255, 250, 200, 0)');
-
-    this.ctx.fillStyle = gradient;
-    this.ctx.beginPath();
-    this.ctx.arc(0, 0, size, 0, Math.PI * 2);
-    this.ctx.fill();
+  stopVelocityDecay() {
+    if (this.decayInterval) {
+      clearInterval(this.decayInterval);
+      this.decayInterval = null;
+    }
   }
 
   /**
-   * Draw and update golden sparkles
+   * Update scroll progress for effects
    */
-  drawSparkles() {
-    this.sparkles.forEach(sparkle => {
-      // Update twinkle and pulse
-      sparkle.twinkle += sparkle.twinkleSpeed;
-      sparkle.pulsePhase += sparkle.pulseSpeed;
+  updateProgress(progress) {
+    this.scrollProgress = progress;
+    this.sendParams();
+    this.sendState();
 
-      // Apply velocity-based acceleration
-      const velocityFactor = this.velocityMultiplier;
-      sparkle.speedX = sparkle.baseSpeedX * velocityFactor;
-      sparkle.speedY = sparkle.baseSpeedY * velocityFactor;
+    this.emit('progress', { progress });
+  }
 
-      // Update position
-      sparkle.x += sparkle.speedX * (0.8 + sparkle.depth * 0.4);
-      sparkle.y += sparkle.speedY * (0.8 + sparkle.depth * 0.4);
+  /**
+   * Start animation loop
+   */
+  startAnimation() {
+    // Reduced motion: a single static frame, redrawn by sendState()
+    if (this.reducedMotion) {
+      this.send({ type: 'render' });
+      return;
+    }
 
-      // Wrap around screen
-      if (sparkle.x < -10) sparkle.x = window.innerWidth + 10;
-      if (sparkle.x > window.innerWidth + 10) sparkle.x = -10;
-      if (sparkle.y > window.innerHeight + 10) {
-        sparkle.y = -10;
-        sparkle.x = Math.random() * window.innerWidth;
-      }
+    // The worker runs its own loop
+    if (this.worker) {
+      this.send({ type: 'start' });
+      return;
+    }
 
-      // Calculate twinkling opacity
-      const twinkleOpacity = (Math.sin(sparkle.twinkle) * 0.5 + 0.5);
-      const pulseSize = (Math.sin(sparkle.pulsePhase) * 0.3 + 1);
-      const finalOpacity = sparkle.opacity * twinkleOpacity * (0.6 + this.scrollProgress * 0.4);
+    if (this.animationFrameId) return;
 
-      // Draw sparkle
-      this.ctx.save();
-      this.ctx.globalAlpha = finalOpacity;
-      this.ctx.translate(sparkle.x, sparkle.y);
+    const animate = (timestamp = this.config.clock()) => {
+      this.quality.sample(timestamp);
+      this.renderer.render(timestamp);
 
-      // Draw multi-layered sparkle
-      this.drawSparkleGlow(sparkle, pulseSize);
-      this.drawSparkleStar(sparkle, pulseSize);
+      this.animationFrameId = this.config.scheduler.requestFrame(animate);
+    };
 
-      this.ctx.restore();
-    });
+    animate();
   }
 
   /**
-   * Draw sparkle glow effect
+   * Stop animation loop
    */
-  drawSparkleGlow(sparkle, pulseSize) {
-    const size = sparkle.size * pulseSize * (0.8 + sparkle.depth * 0.4);
+  stopAnimation() {
+    if (this.worker) {
+      this.send({ type: 'stop' });
+    }
 
-    const gradient = this.ctx.createRadialGradient(0, 0, 0, 0, 0, size * 3);
-    gradient.addColorStop(0, `hsla(${sparkle.hue}, 100%, 70%, 0.8)`);
-    gradient.addColorStop(0.3, `hsla(${sparkle.hue}, 100%, 60%, 0.4)`);
-    gradient.addColorStop(0.6, `hsla(${sparkle.hue}, 80%, 50%, 0.1)`);
-    gradient.addColorStop(1, 'rgba(255, 215, 0, 0)');
+    if (this.animationFrameId) {
+      this.config.scheduler.cancelFrame(this.animationFrameId);
+      this.animationFrameId = null;
+    }
 
-    this.ctx.fillStyle = gradient;
-    this.ctx.beginPath();
-    this.ctx.arc(0, 0, size * 3, 0, Math.PI * 2);
-    this.ctx.fill();
+    if (this.quality) this.quality.resetClock();
   }
 
   /**
-   * Draw sparkle star shape
+   * Draw the seeded scene at `progress` (0-1) after `time` ms, deterministically
+   * for a given `seed`. Stops the animation loop. When merged into a scroller
+   * this renders the scroller's frame too and returns its renderAt() result.
    */
-  drawSparkleStar(sparkle, pulseSize) {
-    const size = sparkle.size * pulseSize * (0.6 + sparkle.depth * 0.3);
-    const points = 4;
-
-    this.ctx.fillStyle = `hsla(${sparkle.hue}, 100%, 85%, 0.9)`;
-    this.ctx.beginPath();
+  renderAt(progress, time = 0) {
+    this.stopAnimation();
+    this.scrollProgress = progress;
+    this.velocityMultiplier = 1;
+    this.canopyTime = null; // sample this frame's canopy
 
-    for (let i = 0; i < points * 2; i++) {
-      const angle = (i * Math.PI) / points;
-      const radius = i % 2 === 0 ? size * 2 : size * 0.5;
-      const x = Math.cos(angle) * radius;
-      const y = Math.sin(angle) * radius;
+    this.sendParams();
 
-      if (i === 0) {
-        this.ctx.moveTo(x, y);
-      } else {
-        this.ctx.lineTo(x, y);
-      }
+    // Merged: particles are scattered across the scroller's canvas, whatever
+    // size the passes last drew at
+    const scrollerCanvas = this.config.scroller && this.config.scroller.canvas;
+    if (scrollerCanvas) {
+      this.send({ type: 'resize', width: scrollerCanvas.clientWidth, height: scrollerCanvas.clientHeight });
     }
 
-    this.ctx.closePath();
-    this.ctx.fill();
+    this.send({ type: 'seek', progress, time });
+
+    if (this.config.scroller) {
+      return this.config.scroller.renderAt(progress, time);
+    }
 
-    // Add bright center dot
-    this.ctx.fillStyle = `hsla(${sparkle.hue}, 100%, 95%, 1)`;
-    this.ctx.beginPath();
-    this.ctx.arc(0, 0, size * 0.3, 0, Math.PI * 2);
-    this.ctx.fill();
+    this.send({ type: 'render', time });
+    return null;
   }
 
   /**
-   * Draw golden burst effect (intensity based on scroll velocity)
+   * Stop drawing (the overlay's loop; merged, the scroller pauses its own) and
+   * the velocity decay while suspended, restart when visible again
    */
-  drawGoldenBurst() {
-    if (this.velocityMultiplier < 1.2) return;
-
-    const burstIntensity = Math.min((this.velocityMultiplier - 1) / 2, 0.3);
+  onSuspendChange(suspended) {
+    if (suspended) {
+      this.stopVelocityDecay();
+      if (!this.config.scroller) this.stopAnimation();
+    } else {
+      this.startVelocityDecay();
+      if (!this.config.scroller) this.startAnimation();
+    }
+  }
 
-    const gradient = this.ctx.createRadialGradient(
-      window.innerWidth / 2,
-      window.innerHeight / 2,
-      0,
-      window.innerWidth / 2,
-      window.innerHeight / 2,
-      window.innerHeight * 0.6
-    );
+  /**
+   * Drop particles, sparkles and the burst when the OS asks for less motion
+   */
+  onReducedMotionChange(reduced) {
+    this.send({ type: 'motion', reduced });
 
-    gradient.addColorStop(0, `rgba(255, 215, 0, ${burstIntensity * 0.15})`);
-    gradient.addColorStop(0.5, `rgba(255, 193, 7, ${burstIntensity * 0.08})`);
-    gradient.addColorStop(1, 'rgba(255, 215, 0, 0)');
+    if (this.config.scroller) {
+      this.registerPasses();
+      return;
+    }
 
-    this.ctx.fillStyle = gradient;
-    this.ctx.fillRect(0, 0, window.innerWidth, window.innerHeight);
+    // Overlay canvas: stop the loop (or restart it) and draw the new state
+    this.stopAnimation();
+    this.onSuspendChange(this.isSuspended());
   }
 
   /**
-   * Draw vignette effect
+   * Initialize ambient forest sounds (optional). Audio starts on the first
+   * user gesture unless the visitor muted it.
    */
-  drawVignette() {
-    const gradient = this.ctx.createRadialGradient(
-      window.innerWidth / 2,
-      window.innerHeight / 2,
-      window.innerHeight * 0.3,
-      window.innerWidth / 2,
-      window.innerHeight / 2,
-      window.innerHeight * 0.8
-    );
+  initAmbientSound() {
+    if (typeof ForestSoundscape === 'undefined') {
+      console.warn('⚠️  ForestAmbient: soundEnabled needs forest-soundscape.js');
+      return;
+    }
 
-    gradient.addColorStop(0, 'rgba(0, 0, 0, 0)');
-    gradient.addColorStop(1, `rgba(0, 0, 0, ${this.config.vignetteIntensity})`);
+    this.soundscape = new ForestSoundscape(this.config.sound);
+    this.soundscape.setState({ progress: this.scrollProgress, velocity: 0 });
 
-    this.ctx.fillStyle = gradient;
-    this.ctx.fillRect(0, 0, window.innerWidth, window.innerHeight);
+    this.addDisposer(() => {
+      this.soundscape.destroy();
+      this.soundscape = null;
+    });
   }
 
   /**
-   * Draw subtle color tint
+   * Re-initialize with new options (e.g. SPA page transitions).
+   * Event subscriptions and the followed scroller are kept.
    */
-  drawColorTint() {
-    this.ctx.fillStyle = this.config.colorTint;
-    this.ctx.fillRect(0, 0, window.innerWidth, window.innerHeight);
+  reinitialize(options = {}) {
+    this.teardown();
+    this.configure({ ...this.options, ...options });
+    this.resetState();
+    this.init();
   }
 
   /**
-   * Initialize ambient forest sounds (optional)
+   * Release everything init() created: loop, listeners, timers and the canvas
    */
-  initAmbientSound() {
-    // This would require audio files, placeholder for future implementation
-    console.log('🔊 Ambient sound system ready (audio files required)');
+  teardown() {
+    this.stopAnimation();
+
+    // Remove resize/scroll/visibility listeners, observers and the velocity decay timer
+    this.dispose();
+
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+
+    if (this.canvas && this.canvas.parentElement) {
+      this.canvas.parentElement.removeChild(this.canvas);
+    }
+
+    this.canvas = null;
+    this.renderer = null;
   }
 
   /**
    * Destroy and cleanup
    */
   destroy() {
-    if (this.animationFrameId) {
-      cancelAnimationFrame(this.animationFrameId);
-    }
+    this.unfollow();
+    this.teardown();
 
-    if (this.canvas && this.canvas.parentElement) {
-      this.canvas.parentElement.removeChild(this.canvas);
-    }
+    this.emit('destroy');
+    this.removeAllListeners();
 
-    this.particles = [];
     console.log('🛑 ForestAmbient: Destroyed');
   }
 }
 
+/**
+ * Built-in atmospheres. Any AmbientRenderer.defaultParams key may be set;
+ * the rest keep their defaults.
+ */
+ForestAmbient.presets = {
+  dawn: {
+    fogIntensity: 0.3,
+    fogColor: [235, 210, 195],
+    vignetteIntensity: 0.25,
+    colorTint: [255, 170, 110, 0.08],
+    lightRayIntensity: 0.8,
+    rayOrigin: [0.15, 0.3],
+    rayAngle: 0,
+    rayCount: 6,
+    raySpread: 60,
+    rayColor: [255, 215, 170],
+    rayShimmer: 0.3,
+    rayCanopy: 0.5,
+    particleDensity: 0.8,
+    particleMix: { speck: 0.6, leaf: 0.4 },
+    windStrength: 0.15,
+    sparkleDensity: 1.2,
+    sparkleHue: [20, 40]
+  },
+  midday: {
+    fogIntensity: 0.1,
+    fogColor: [200, 225, 200],
+    vignetteIntensity: 0.25,
+    colorTint: [27, 94, 32, 0.05],
+    lightRayIntensity: 1.2,
+    rayOrigin: [0.5, -0.05],
+    rayAngle: 90,
+    rayCount: 7,
+    raySpread: 50,
+    rayColor: [255, 250, 220],
+    rayShimmer: 0.2,
+    rayCanopy: 1,
+    particleDensity: 1,
+    particleMix: { speck: 0.7, leaf: 0.3 },
+    windStrength: 0.3,
+    sparkleDensity: 0.8,
+    sparkleHue: [45, 60]
+  },
+  dusk: {
+    fogIntensity: 0.25,
+    fogColor: [205, 175, 195],
+    vignetteIntensity: 0.45,
+    colorTint: [120, 60, 90, 0.1],
+    lightRayIntensity: 0.6,
+    rayOrigin: [0.95, 0.4],
+    rayAngle: 165,
+    rayCount: 4,
+    raySpread: 40,
+    rayColor: [255, 180, 140],
+    rayShimmer: 0.4,
+    rayCanopy: 0.3,
+    particleDensity: 0.7,
+    particleMix: { firefly: 0.6, leaf: 0.3, speck: 0.1 },
+    windStrength: 0.1,
+    sparkleDensity: 1.5,
+    sparkleHue: [25, 40]
+  },
+  rain: {
+    fogIntensity: 0.4,
+    fogColor: [170, 185, 195],
+    vignetteIntensity: 0.5,
+    colorTint: [60, 80, 100, 0.12],
+    lightRayIntensity: 0,
+    particleDensity: 2.5,
+    particleMix: { rain: 0.9, leaf: 0.1 },
+    windStrength: 0.8,
+    sparkleDensity: 0.3,
+    sparkleHue: [190, 210]
+  }
+};
+
+/**
+ * Canopy sampling: the frame is read back at columns x rows; gaps are looked
+ * for in the top `region`, must be `threshold` brighter than average and
+ * `spacing` cells apart
+ */
+ForestAmbient.canopyGrid = {
+  columns: 32,
+  rows: 18,
+  region: 0.6,
+  threshold: 0.08,
+  spacing: 3,
+  maxGaps: 8
+};
+
 // Export for use in other scripts
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = ForestAmbient;
@@ -0,0 +1,198 @@
+/**
+ * ForestEvents - Event Emitter & Lifecycle Base
+ * Shared on/off subscriptions and disposable resources for ForestScroller and ForestAmbient
+ *
+ * @version 1.0.0
+ * @author Greenhouse
+ */
+
+class ForestEvents {
+  constructor() {
+    this.eventHandlers = new Map(); // event type -> Set of handlers
+    this.disposers = []; // cleanup callbacks run by dispose()
+    this.suspendReasons = new Set(); // 'hidden' | 'offscreen' | 'outofrange'
+    this.reducedMotion = false;
+  }
+
+  /**
+   * Subscribe to an event. Returns an unsubscribe function.
+   */
+  on(type, handler) {
+    if (!this.eventHandlers.has(type)) {
+      this.eventHandlers.set(type, new Set());
+    }
+
+    this.eventHandlers.get(type).add(handler);
+    return () => this.off(type, handler);
+  }
+
+  /**
+   * Subscribe for a single emission
+   */
+  once(type, handler) {
+    const off = this.on(type, (detail) => {
+      off();
+      handler(detail);
+    });
+
+    return off;
+  }
+
+  /**
+   * Unsubscribe a handler (or every handler of `type` when omitted)
+   */
+  off(type, handler) {
+    const handlers = this.eventHandlers.get(type);
+    if (!handlers) return;
+
+    if (handler) {
+      handlers.delete(handler);
+    } else {
+      handlers.clear();
+    }
+  }
+
+  /**
+   * Call every handler of `type`; a throwing handler doesn't stop the others
+   */
+  emit(type, detail = {}) {
+    const handlers = this.eventHandlers.get(type);
+    if (!handlers || handlers.size === 0) return;
+
+    [...handlers].forEach(handler => {
+      try {
+        handler(detail);
+      } catch (error) {
+        console.error(`❌ Error in "${type}" handler:`, error);
+      }
+    });
+  }
+
+  /**
+   * Drop all subscriptions
+   */
+  removeAllListeners() {
+    this.eventHandlers.clear();
+  }
+
+  /**
+   * Add a DOM event listener that dispose() removes
+   */
+  listen(target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    this.addDisposer(() => target.removeEventListener(type, handler, options));
+  }
+
+  /**
+   * Register cleanup for a timer, observer or other resource
+   */
+  addDisposer(dispose) {
+    this.disposers.push(dispose);
+  }
+
+  /**
+   * Track page visibility and whether `element` is on screen. Subclasses get
+   * onSuspendChange(suspended) whenever rendering should stop or may restart.
+   */
+  watchVisibility(element) {
+    const handleVisibilityChange = () => this.setSuspendReason('hidden', document.hidden);
+    this.listen(document, 'visibilitychange', handleVisibilityChange);
+    handleVisibilityChange();
+
+    if (element && typeof IntersectionObserver !== 'undefined') {
+      const observer = new IntersectionObserver((entries) => {
+        this.setSuspendReason('offscreen', !entries[entries.length - 1].isIntersecting);
+      });
+      observer.observe(element);
+      this.addDisposer(() => observer.disconnect());
+    }
+
+    this.addDisposer(() => this.suspendReasons.clear());
+  }
+
+  /**
+   * Add or clear a reason to suspend rendering; calls onSuspendChange() when
+   * that flips whether rendering is suspended
+   */
+  setSuspendReason(reason, active) {
+    const wasSuspended = this.isSuspended();
+
+    if (active) {
+      this.suspendReasons.add(reason);
+    } else {
+      this.suspendReasons.delete(reason);
+    }
+
+    if (this.isSuspended() !== wasSuspended) {
+      this.onSuspendChange(this.isSuspended());
+    }
+  }
+
+  /**
+   * Whether rendering is suspended (page hidden, element offscreen, ...)
+   */
+  isSuspended() {
+    return this.suspendReasons.size > 0;
+  }
+
+  /**
+   * Override to stop/restart rendering
+   */
+  onSuspendChange(suspended) {}
+
+  /**
+   * Follow the prefers-reduced-motion media query, or force a `preference`
+   * (true/false). Subclasses get onReducedMotionChange(reduced) when the OS
+   * setting changes.
+   */
+  watchReducedMotion(preference = 'auto') {
+    if (preference !== 'auto' || typeof matchMedia !== 'function') {
+      this.reducedMotion = preference === true;
+      return;
+    }
+
+    const query = matchMedia('(prefers-reduced-motion: reduce)');
+    this.reducedMotion = query.matches;
+
+    this.listen(query, 'change', (event) => {
+      this.reducedMotion = event.matches;
+      this.onReducedMotionChange(event.matches);
+    });
+  }
+
+  /**
+   * Override to switch motion modes live
+   */
+  onReducedMotionChange(reduced) {}
+
+  /**
+   * Release every tracked listener, timer and observer (newest first)
+   */
+  dispose() {
+    while (this.disposers.length > 0) {
+      const dispose = this.disposers.pop();
+
+      try {
+        dispose();
+      } catch (error) {
+        console.error('❌ Error while disposing:', error);
+      }
+    }
+  }
+}
+
+/**
+ * Frame scheduler and clock used unless a `scheduler` / `clock` option is
+ * given (e.g. a manually stepped scheduler and fake clock in headless tests)
+ */
+ForestEvents.defaultScheduler = {
+  requestFrame: (callback) => requestAnimationFrame(callback),
+  cancelFrame: (id) => cancelAnimationFrame(id)
+};
+
+ForestEvents.defaultClock = () => performance.now();
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ForestEvents;
+}
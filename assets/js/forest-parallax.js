@@ -0,0 +1,317 @@
+/**
+ * ForestParallax - Pointer & Device Orientation Parallax
+ * Turns mouse position, touch drags and device tilt into a smoothed parallax
+ * offset shared by ForestScroller (frame crop) and ForestAmbient (particles)
+ *
+ * @version 1.0.0
+ * @author Greenhouse
+ */
+
+class ForestParallax extends ForestEvents {
+  constructor(options = {}) {
+    super();
+
+    this.config = {
+      enabled: options.enabled !== false, // off switch; see enable() / disable()
+      intensity: options.intensity !== undefined ? options.intensity : 1, // scales every effect below
+      pointer: options.pointer !== false, // mouse / pen position
+      touch: options.touch !== false, // touch drags
+      orientation: options.orientation !== false, // device tilt (gyroscope)
+      orientationPermission: options.orientationPermission || 'gesture', // iOS: 'gesture' = ask on the first tap | 'manual'
+      tiltRange: options.tiltRange || 20, // degrees of tilt for full offset
+      smoothing: options.smoothing || 0.08, // easing per 60fps frame
+      cropShift: options.cropShift || 0.015, // max frame crop pan, fraction of the canvas size
+      particleShift: options.particleShift || 24, // max particle offset in px for the nearest particles
+      repelRadius: options.repelRadius || 120, // px around the pointer
+      repelStrength: options.repelStrength || 1.5, // px per frame at the pointer
+      reducedMotion: options.reducedMotion !== undefined ? options.reducedMotion : 'auto' // 'auto' | true | false
+    };
+
+    // State
+    this.enabled = false;
+    this.inputDisposers = []; // input listeners; stop() removes them but keeps the reduced motion watch
+    this.target = { x: 0, y: 0 }; // -1..1, right/down positive
+    this.offset = { x: 0, y: 0 }; // eased towards target by update()
+    this.pointer = null; // { x, y } in CSS pixels while a pointer or touch is over the page
+    this.orientationBase = null; // { beta, gamma } at the first reading
+    this.orientationActive = false;
+    this.lastTimestamp = 0;
+
+    this.watchReducedMotion(this.config.reducedMotion);
+
+    if (this.config.enabled) {
+      this.enable();
+    }
+  }
+
+  /**
+   * Start listening to input. Stays off in reduced motion.
+   */
+  enable() {
+    this.config.enabled = true;
+
+    if (this.enabled || this.reducedMotion) return;
+    this.enabled = true;
+
+    if (this.config.pointer) {
+      this.listenInput(window, 'pointermove', (event) => {
+        if (event.pointerType !== 'touch') this.setPointer(event.clientX, event.clientY);
+      }, { passive: true });
+
+      this.listenInput(window, 'pointerout', (event) => {
+        if (!event.relatedTarget) this.releasePointer(); // left the window
+      });
+      this.listenInput(window, 'blur', () => this.releasePointer());
+    }
+
+    if (this.config.touch) {
+      const handleTouch = (event) => {
+        const touch = event.touches[0];
+        if (touch) this.setPointer(touch.clientX, touch.clientY);
+      };
+
+      this.listenInput(window, 'touchstart', handleTouch, { passive: true });
+      this.listenInput(window, 'touchmove', handleTouch, { passive: true });
+      this.listenInput(window, 'touchend', () => this.releasePointer(), { passive: true });
+      this.listenInput(window, 'touchcancel', () => this.releasePointer(), { passive: true });
+    }
+
+    if (this.config.orientation) {
+      this.setupOrientation();
+    }
+
+    console.log('🧭 ForestParallax: Enabled');
+  }
+
+  /**
+   * Add an input listener that stop() removes
+   */
+  listenInput(target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    this.inputDisposers.push(() => target.removeEventListener(type, handler, options));
+  }
+
+  /**
+   * Stop listening and ease back to the centre
+   */
+  disable() {
+    this.config.enabled = false;
+    this.stop();
+  }
+
+  /**
+   * Detach input listeners without touching the enabled setting
+   */
+  stop() {
+    if (!this.enabled) return;
+
+    this.enabled = false;
+    this.inputDisposers.forEach(dispose => dispose());
+    this.inputDisposers = [];
+
+    this.pointer = null;
+    this.orientationActive = false;
+    this.orientationBase = null;
+    this.setTarget(0, 0);
+  }
+
+  /**
+   * Listen to device orientation, asking for permission first where the
+   * browser requires it (iOS 13+)
+   */
+  setupOrientation() {
+    if (typeof DeviceOrientationEvent === 'undefined') return;
+
+    if (typeof DeviceOrientationEvent.requestPermission !== 'function') {
+      this.listenOrientation();
+      return;
+    }
+
+    if (this.config.orientationPermission !== 'gesture') return;
+
+    // The permission prompt may only be opened from a user gesture
+    const handleGesture = () => {
+      document.removeEventListener('touchend', handleGesture);
+      document.removeEventListener('click', handleGesture);
+      this.requestOrientationPermission();
+    };
+
+    this.listenInput(document, 'touchend', handleGesture, { passive: true });
+    this.listenInput(document, 'click', handleGesture);
+  }
+
+  /**
+   * Ask for device orientation access (call from a click/tap handler when
+   * orientationPermission is 'manual'). Resolves to 'granted', 'denied' or
+   * 'unsupported'.
+   */
+  async requestOrientationPermission() {
+    if (typeof DeviceOrientationEvent === 'undefined') return 'unsupported';
+
+    if (typeof DeviceOrientationEvent.requestPermission !== 'function') {
+      return 'granted';
+    }
+
+    try {
+      const state = await DeviceOrientationEvent.requestPermission();
+
+      if (state === 'granted' && this.enabled) {
+        this.listenOrientation();
+      }
+
+      return state;
+    } catch (error) {
+      console.warn('⚠️  ForestParallax: Orientation permission request failed:', error);
+      return 'denied';
+    }
+  }
+
+  /**
+   * Map tilt relative to how the device was first held onto the target
+   */
+  listenOrientation() {
+    if (this.orientationActive) return;
+    this.orientationActive = true;
+
+    this.listenInput(window, 'deviceorientation', (event) => {
+      if (event.beta === null || event.gamma === null) return;
+
+      if (!this.orientationBase) {
+        this.orientationBase = { beta: event.beta, gamma: event.gamma };
+      }
+
+      const range = this.config.tiltRange;
+      this.setTarget(
+        (event.gamma - this.orientationBase.gamma) / range,
+        (event.beta - this.orientationBase.beta) / range
+      );
+    });
+  }
+
+  /**
+   * Pointer or touch position in CSS pixels. Drives the offset unless the
+   * device tilt already does.
+   */
+  setPointer(x, y) {
+    this.pointer = { x, y };
+
+    if (this.orientationActive && this.orientationBase) {
+      this.emit('change', this.getState());
+      return;
+    }
+
+    this.setTarget(
+      (x / window.innerWidth) * 2 - 1,
+      (y / window.innerHeight) * 2 - 1
+    );
+  }
+
+  /**
+   * Pointer left the page or the finger lifted: drift back to the centre
+   */
+  releasePointer() {
+    this.pointer = null;
+
+    if (this.orientationActive && this.orientationBase) {
+      this.emit('change', this.getState());
+    } else {
+      this.setTarget(0, 0);
+    }
+  }
+
+  /**
+   * Set the target offset (clamped to -1..1) and notify consumers
+   */
+  setTarget(x, y) {
+    this.target = {
+      x: Math.max(-1, Math.min(1, x)),
+      y: Math.max(-1, Math.min(1, y))
+    };
+
+    this.emit('change', this.getState());
+  }
+
+  /**
+   * Ease the offset towards the target. Feed a requestAnimationFrame
+   * timestamp; callbacks from the same frame share a timestamp and count once.
+   */
+  update(timestamp) {
+    if (!timestamp || timestamp === this.lastTimestamp) return;
+
+    const delta = this.lastTimestamp ? Math.min(timestamp - this.lastTimestamp, 100) : 1000 / 60;
+    this.lastTimestamp = timestamp;
+
+    const factor = 1 - Math.pow(1 - this.config.smoothing, delta / (1000 / 60));
+    this.offset.x += (this.target.x - this.offset.x) * factor;
+    this.offset.y += (this.target.y - this.offset.y) * factor;
+
+    if (!this.isMoving()) {
+      this.offset = { ...this.target };
+    }
+  }
+
+  /**
+   * Whether the offset is still easing towards the target
+   */
+  isMoving() {
+    return Math.abs(this.target.x - this.offset.x) > 0.001 ||
+      Math.abs(this.target.y - this.offset.y) > 0.001;
+  }
+
+  /**
+   * Frame crop pan for ForestScroller.calculateCoverDimensions(): the forest
+   * moves against the pointer, by at most `range` of the canvas size
+   */
+  getCropShift() {
+    const range = this.config.cropShift * this.config.intensity;
+
+    return {
+      x: -this.offset.x * range,
+      y: -this.offset.y * range,
+      range
+    };
+  }
+
+  /**
+   * Target state for the ambient renderer (plain data, so it can be posted to
+   * the worker, which eases it itself)
+   */
+  getState() {
+    const intensity = this.config.intensity;
+
+    return {
+      x: this.target.x,
+      y: this.target.y,
+      pointer: this.pointer,
+      particleShift: this.config.particleShift * intensity,
+      repelRadius: this.config.repelRadius,
+      repelStrength: this.config.repelStrength * intensity,
+      smoothing: this.config.smoothing
+    };
+  }
+
+  /**
+   * Switch off while the OS asks for less motion, back on when it stops
+   */
+  onReducedMotionChange(reduced) {
+    if (reduced) {
+      this.stop();
+    } else if (this.config.enabled) {
+      this.enable();
+    }
+  }
+
+  /**
+   * Detach listeners and subscribers
+   */
+  destroy() {
+    this.stop();
+    this.dispose();
+    this.removeAllListeners();
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ForestParallax;
+}
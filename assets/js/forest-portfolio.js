@@ -0,0 +1,340 @@
+/**
+ * ForestPortfolio - Data-driven Portfolio Section
+ * Loads the portfolio companies from JSON and renders both the cards (the
+ * clearings) and the nav dropdown from them, each card with its GSAP reveal.
+ *
+ * @version 1.0.0
+ * @author Greenhouse
+ */
+
+class ForestPortfolio extends ForestEvents {
+  constructor(options = {}) {
+    super();
+
+    this.config = {
+      url: options.url || 'assets/data/portfolio.json',
+      data: options.data || null, // companies (or { companies }) to use instead of fetching url
+      grid: options.grid || '.portfolio-grid', // element or selector the cards go into
+      menu: options.menu || '.dropdown-menu', // element or selector the nav entries go into
+      status: options.status || '.portfolio-status', // loading / error message, hidden once cards render
+      scrollToHash: options.scrollToHash !== false, // scroll to the card in location.hash once rendered
+      reveal: options.reveal !== false, // GSAP ScrollTrigger reveal per card
+      reducedMotion: options.reducedMotion !== undefined ? options.reducedMotion : 'auto', // 'auto' | true | false
+      onReady: options.onReady || null,
+      onError: options.onError || null
+    };
+
+    // State
+    this.companies = []; // normalized, in display order
+    this.elements = []; // generated cards and menu items
+    this.revealDisposers = []; // kill the card tweens and their ScrollTriggers
+    this.statusText = null; // the status element's own (loading) text
+
+    this.watchReducedMotion(this.config.reducedMotion);
+    this.init();
+  }
+
+  /**
+   * Load the data and render it (also retries after a failure)
+   */
+  async init() {
+    this.setStatus('loading');
+
+    try {
+      const data = await (this.config.data || this.load());
+      this.update(data);
+      this.setStatus(null);
+
+      // The browser looked for a deep-linked card (/#genera) before it existed
+      if (this.config.scrollToHash) {
+        this.scrollToHash();
+      }
+
+      console.log(`🌿 ForestPortfolio: ${this.companies.length} companies rendered`);
+
+      this.emit('ready', { companies: this.companies });
+      if (this.config.onReady) {
+        this.config.onReady(this.companies);
+      }
+    } catch (error) {
+      console.error('❌ ForestPortfolio: Failed to render portfolio:', error);
+
+      this.setStatus('error');
+      this.emit('error', { error });
+      if (this.config.onError) {
+        this.config.onError(error);
+      }
+    }
+  }
+
+  /**
+   * Fetch the portfolio JSON
+   */
+  async load() {
+    const response = await fetch(this.config.url);
+    if (!response.ok) {
+      throw new Error(`Failed to load portfolio ${this.config.url} (${response.status})`);
+    }
+
+    return response.json();
+  }
+
+  /**
+   * Replace the rendered companies (e.g. with edited data)
+   */
+  update(data) {
+    this.companies = this.normalize(data);
+    this.render();
+  }
+
+  /**
+   * Companies with an id and a name, sorted by `order` (file order breaks ties;
+   * companies without one go last)
+   */
+  normalize(data) {
+    const companies = Array.isArray(data) ? data : data && data.companies;
+
+    if (!Array.isArray(companies)) {
+      throw new Error('Portfolio data has no companies list');
+    }
+
+    const rank = company => (company.order !== undefined ? company.order : Infinity);
+
+    return companies
+      .filter(company => {
+        if (company.id && company.name) return true;
+
+        console.warn('⚠️  ForestPortfolio: Skipping company without id or name:', company);
+        return false;
+      })
+      .map((company, index) => ({ company, index }))
+      .sort((a, b) => rank(a.company) - rank(b.company) || a.index - b.index)
+      .map(({ company }) => ({ metrics: [], ...company }));
+  }
+
+  /**
+   * Render the cards and menu entries, replacing earlier ones
+   */
+  render() {
+    this.clear();
+
+    const grid = this.resolve(this.config.grid);
+    const menu = this.resolve(this.config.menu);
+    const cards = [];
+
+    this.companies.forEach(company => {
+      if (grid) {
+        const card = this.createCard(company);
+        grid.appendChild(card);
+        cards.push(card);
+        this.elements.push(card);
+      }
+
+      if (menu) {
+        const item = this.createMenuItem(company);
+        menu.appendChild(item);
+        this.elements.push(item);
+      }
+    });
+
+    this.revealCards(cards);
+  }
+
+  /**
+   * Show the status element as 'loading' or 'error' (with a retry button), or
+   * hide it (null). The loading text is the page's own markup.
+   */
+  setStatus(state) {
+    const status = this.resolve(this.config.status);
+    if (!status) return;
+
+    if (this.statusText === null) {
+      this.statusText = status.textContent;
+    }
+
+    status.hidden = !state;
+    status.dataset.state = state || '';
+    status.textContent = state === 'error' ? 'The portfolio couldn’t be loaded. ' : this.statusText;
+
+    if (state === 'error') {
+      const retry = this.createElement('button', 'portfolio-retry', 'Try again');
+      retry.type = 'button';
+      retry.addEventListener('click', () => this.init());
+      status.appendChild(retry);
+    }
+  }
+
+  /**
+   * Scroll to the rendered card named by location.hash, if any
+   */
+  scrollToHash() {
+    const id = decodeURIComponent(window.location.hash.slice(1));
+    const card = id && this.elements.find(element => element.id === id);
+
+    if (card) {
+      card.scrollIntoView({ block: 'start' });
+    }
+  }
+
+  /**
+   * An element, or the first match of a selector
+   */
+  resolve(target) {
+    return typeof target === 'string' ? document.querySelector(target) : target;
+  }
+
+  /**
+   * Create an element with an optional class name and text
+   */
+  createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+  }
+
+  /**
+   * A portfolio card (same markup as the section's stylesheet expects)
+   */
+  createCard(company) {
+    const card = this.createElement('article', 'portfolio-card glassmorphic');
+    card.id = company.id;
+    card.dataset.reveal = 'fade-up';
+
+    if (company.featured) card.classList.add('portfolio-card-featured');
+    if (company.placeholder) card.classList.add('portfolio-card-next');
+
+    const header = this.createElement('div', 'card-header');
+    const logo = this.createElement('div', 'card-logo');
+
+    if (company.logo) {
+      const image = this.createElement('img');
+      image.src = company.logo;
+      image.alt = `${company.name} logo`;
+      image.loading = 'lazy';
+      logo.appendChild(image);
+    } else {
+      logo.textContent = company.emoji || '';
+      logo.setAttribute('aria-hidden', 'true');
+    }
+
+    header.appendChild(logo);
+
+    if (company.stage) {
+      header.appendChild(this.createElement('span', 'card-stage', company.stage));
+    }
+
+    card.appendChild(header);
+    card.appendChild(this.createElement('h3', null, company.name));
+
+    if (company.description) {
+      card.appendChild(this.createElement('p', null, company.description));
+    }
+
+    if (company.metrics.length) {
+      const metrics = this.createElement('div', 'card-metrics');
+      company.metrics.forEach(metric => metrics.appendChild(this.createElement('span', null, metric)));
+      card.appendChild(metrics);
+    }
+
+    if (company.url) {
+      const link = this.createElement('a', 'card-link', `${company.linkLabel || 'Visit Site'} →`);
+      link.href = company.url;
+
+      // Company sites open in a new tab; mailto links don't
+      if (/^https?:/i.test(company.url)) {
+        link.target = '_blank';
+        link.rel = 'noopener';
+      }
+
+      card.appendChild(link);
+    }
+
+    return card;
+  }
+
+  /**
+   * A nav dropdown entry linking to the card
+   */
+  createMenuItem(company) {
+    const item = this.createElement('li');
+    const label = company.navLabel || company.name;
+    const link = this.createElement('a', 'dropdown-link', company.emoji ? `${company.emoji} ${label}` : label);
+
+    link.href = `#${company.id}`;
+    item.appendChild(link);
+    return item;
+  }
+
+  /**
+   * Fade each card up as it scrolls into view, staggered across the grid.
+   * Without GSAP or in reduced motion the cards are simply shown.
+   */
+  revealCards(cards) {
+    if (!this.config.reveal || this.reducedMotion) return;
+    if (typeof gsap === 'undefined' || typeof ScrollTrigger === 'undefined') return;
+
+    gsap.registerPlugin(ScrollTrigger);
+
+    cards.forEach((card, i) => {
+      const tween = gsap.from(card, {
+        opacity: 0,
+        y: 80,
+        duration: 1,
+        ease: 'power3.out',
+        delay: i * 0.15,
+        scrollTrigger: {
+          trigger: card,
+          start: 'top 90%',
+          toggleActions: 'play none none none'
+        }
+      });
+
+      this.revealDisposers.push(() => {
+        if (tween.scrollTrigger) tween.scrollTrigger.kill();
+        tween.kill();
+        gsap.set(card, { clearProps: 'opacity,transform' });
+      });
+    });
+
+    // The new cards moved everything below them
+    ScrollTrigger.refresh();
+  }
+
+  /**
+   * Remove generated elements and their reveals
+   */
+  clear() {
+    this.revealDisposers.forEach(dispose => dispose());
+    this.revealDisposers = [];
+
+    this.elements.forEach(element => element.remove());
+    this.elements = [];
+  }
+
+  /**
+   * Reveals were switched off or on by the OS setting: redo them
+   */
+  onReducedMotionChange() {
+    if (this.companies.length) {
+      this.render();
+    }
+  }
+
+  /**
+   * Remove everything this module rendered
+   */
+  destroy() {
+    this.clear();
+    this.setStatus('loading'); // back to the page's own markup
+    this.dispose();
+
+    this.emit('destroy');
+    this.removeAllListeners();
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ForestPortfolio;
+}
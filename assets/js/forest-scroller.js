@@ -6,50 +6,134 @@
  * @author Greenhouse
  */
 
-class ForestScroller {
+class ForestScroller extends ForestEvents {
   constructor(options = {}) {
+    super();
+
+    this.generation = 0; // bumped on teardown so stale async work can bail out
+
+    // Render passes, drawn in `order` into the one canvas every frame. Like event
+    // subscriptions they survive reinitialize().
+    this.passes = [];
+
+    // Grading laid over the global / chapter grading (e.g. ForestAmbient's tint)
+    this.gradingOverride = null;
+    this.addPass({ name: 'frames', order: 0, render: (ctx, info) => this.renderFrame(info.source, info.frame) });
+
+    this.configure(options);
+    this.resetState();
+
+    // Initialize
+    this.init();
+  }
+
+  /**
+   * Build configuration from constructor options
+   */
+  configure(options) {
+    this.options = options;
+
     // Configuration
     this.config = {
       canvasId: options.canvasId || 'forest-canvas',
+      manifestUrl: options.manifestUrl || null,
+      videoUrl: options.videoUrl || null,
+      videoFrameRate: options.videoFrameRate || 24,
+      variant: options.variant || null,
       imagePath: options.imagePath || 'assets/images/forest-sequence/',
       imagePrefix: options.imagePrefix || 'frame-',
       imageFormat: options.imageFormat || 'webp',
       totalFrames: options.totalFrames || 120,
       smoothing: options.smoothing || 0.1,
+      scrollTrigger: options.scrollTrigger || null, // element/selector the start/end expressions refer to
+      scrollStart: options.scrollStart || 'top top', // 'top top' | 'top 80%' | element | selector
+      scrollEnd: options.scrollEnd || 'bottom bottom', // 'bottom bottom' | element | selector
+      holdStart: options.holdStart !== false, // keep showing the first frame before the range
+      holdEnd: options.holdEnd !== false, // keep showing the last frame after the range
+      chapters: options.chapters || null, // [{ name, element, progress: [from, to], easing, grading }]
+      reducedMotion: options.reducedMotion !== undefined ? options.reducedMotion : 'auto', // 'auto' | true | false
+      reducedMotionSteps: options.reducedMotionSteps || 5, // stills across the clip without chapters
+      crossfadeDuration: options.crossfadeDuration || 300, // ms between stills in reduced motion
+      renderer: options.renderer || 'auto', // 'auto' (WebGL with 2D fallback) | 'webgl' | '2d'
+      grading: { ...ForestScroller.defaultGrading, ...options.grading }, // see ForestScroller.defaultGrading
       preloadCount: options.preloadCount || 5,
+      maxConcurrentLoads: options.maxConcurrentLoads || null,
+      decodeInWorker: options.decodeInWorker || false,
+      decoderWorkerUrl: options.decoderWorkerUrl || 'assets/js/frame-decoder-worker.js',
+      memoryBudgetMB: options.memoryBudgetMB || null, // null = derive from navigator.deviceMemory (no cap without it)
+      maxRetries: options.maxRetries !== undefined ? options.maxRetries : 3,
+      retryDelay: options.retryDelay || 500, // ms, doubled on every retry
+      failureTolerance: options.failureTolerance !== undefined ? options.failureTolerance : 0.1, // fraction of frames
       mobileFrameCount: options.mobileFrameCount || 60,
+      mobileStrategy: options.mobileStrategy || 'auto', // 'auto' | 'variant' | 'stride'
       mobileBreakpoint: options.mobileBreakpoint || 768,
+      quality: options.quality || null, // shared QualityGovernor (one is created if omitted)
+      adaptiveQuality: options.adaptiveQuality !== false,
+      parallax: options.parallax || null, // shared ForestParallax: pans the frame crop with pointer/tilt
+      scheduler: options.scheduler || ForestEvents.defaultScheduler, // { requestFrame, cancelFrame }
+      clock: options.clock || ForestEvents.defaultClock, // () => ms, the time render passes see
       onLoad: options.onLoad || null,
       onProgress: options.onProgress || null,
       onReady: options.onReady || null,
-      onError: options.onError || null
+      onError: options.onError || null,
+      onFrameError: options.onFrameError || null
     };
+  }
 
+  /**
+   * Reset runtime state (also used when re-initializing)
+   */
+  resetState() {
     // State
     this.canvas = null;
     this.ctx = null;
+    this.webgl = null;
     this.images = [];
     this.loadedImages = new Set();
     this.currentFrame = 0;
     this.targetFrame = 0;
     this.previousFrame = 0;
+    this.lastEmittedFrame = null;
     this.isLoading = true;
     this.loadedCount = 0;
     this.isMobile = false;
     this.animationFrameId = null;
+    this.isPaused = false;
     this.supportsWebP = null;
+    this.manifest = null;
+    this.variant = null;
+    this.frameSources = [];
+    this.loader = null;
+    this.anchorLoads = null; // AbortController of the first/last frame loads
+    this.decoder = null;
+    this.videoSource = null;
+    this.quality = null;
+
+    // Memory budget state
+    this.memoryBudget = Infinity; // bytes
+    this.frameLastUsed = new Map(); // frame index -> use tick
+    this.useTick = 0;
+    this.evictedFrames = new Set();
+
+    // Error accounting
+    this.failedFrames = new Set();
+    this.hasFailed = false;
 
     // Smooth scrolling state
     this.velocity = 0;
+    this.crossfade = null; // reduced motion: { from, start, mix } while fading between stills
     this.lastScrollY = 0;
     this.scrollVelocity = 0;
+    this.scrollRange = { start: 0, end: 0 };
+    this.rangeState = 'active'; // 'before' | 'active' | 'after'
+    this.chapterRanges = [];
+    this.activeChapter = null;
+    this.gradingStops = []; // [{ frame, grading }] from chapters with their own grading
+    this.passCache = null; // { canvas, state, ready }: the passes below the first animated one, kept at rest
 
     // Performance tracking
     this.lastFrameTime = 0;
     this.fps = 60;
-
-    // Initialize
-    this.init();
   }
 
   /**
@@ -58,34 +142,51 @@ class ForestScroller {
   async init() {
     console.log('🌲 ForestScroller: Initializing...');
 
+    const generation = this.generation;
+
     try {
       // Detect device
       this.isMobile = window.innerWidth <= this.config.mobileBreakpoint;
 
-      // Adjust frame count for mobile
-      if (this.isMobile) {
-        this.config.totalFrames = this.config.mobileFrameCount;
-        console.log(`📱 Mobile detected: Using ${this.config.totalFrames} frames`);
-      }
+      // Step quality down when frames run long
+      this.setupQuality();
+
+      // Stills and crossfades instead of the spring when the OS asks for less motion
+      this.watchReducedMotion(this.config.reducedMotion);
+
+      // Pan the frame crop with the pointer / device tilt
+      this.setupParallax();
 
-      // Check WebP support
-      this.supportsWebP = await this.checkWebPSupport();
-      if (!this.supportsWebP) {
-        console.warn('⚠️  WebP not supported, falling back to JPG');
-        this.config.imageFormat = 'jpg';
+      // Load the frame source: a single scrubbed video or an image sequence
+      if (this.config.videoUrl) {
+        await this.loadVideo();
+      } else {
+        await this.prepareFrameSequence();
       }
 
+      this.assertGeneration(generation);
+
       // Setup canvas
       this.setupCanvas();
 
-      // Preload images progressively
-      await this.preloadImages();
+      // Show the first frame (image sequences stream the rest in the background)
+      if (this.videoSource) {
+        this.drawFrame(0);
+      } else {
+        await this.preloadImages();
+      }
+
+      this.assertGeneration(generation);
 
       // Setup scroll listener
       this.setupScrollListener();
 
-      // Start animation loop
-      this.startAnimationLoop();
+      // Pause rendering while the tab is hidden. The container is fixed to the
+      // viewport, so "offscreen" is an unheld end of the range (updateRangeState()).
+      this.watchVisibility(null);
+
+      // Start animation loop (it stops itself once the spring settles)
+      this.requestRender();
 
       // Handle window resize
       this.setupResizeListener();
@@ -95,16 +196,131 @@ class ForestScroller {
       if (this.config.onReady) {
         this.config.onReady();
       }
+      this.emit('ready');
 
       console.log('✅ ForestScroller: Ready!');
     } catch (error) {
+      // Torn down (destroy / reinitialize) while loading
+      if (error.name === 'AbortError') return;
+
       console.error('❌ ForestScroller initialization failed:', error);
-      if (this.config.onError) {
-        this.config.onError(error);
-      }
+      this.reportError(error);
     }
   }
 
+  /**
+   * Re-initialize with new options on the same canvas (e.g. SPA page transitions).
+   * Event subscriptions are kept.
+   */
+  reinitialize(options = {}) {
+    console.log('🔁 ForestScroller: Re-initializing...');
+
+    this.teardown();
+    this.configure({ ...this.options, ...options });
+    this.resetState();
+
+    return this.init();
+  }
+
+  /**
+   * Throw an AbortError when async work outlived a teardown
+   */
+  assertGeneration(generation) {
+    if (generation !== this.generation) {
+      throw new DOMException('ForestScroller was torn down', 'AbortError');
+    }
+  }
+
+  /**
+   * Report a fatal error once
+   */
+  reportError(error) {
+    if (this.hasFailed) return;
+    this.hasFailed = true;
+
+    if (this.config.onError) {
+      this.config.onError(error);
+    }
+    this.emit('error', { error });
+  }
+
+  /**
+   * Resolve frame URLs and loading options for an image sequence. Results are
+   * gathered in locals and only committed once no teardown happened meanwhile.
+   */
+  async prepareFrameSequence() {
+    const generation = this.generation;
+
+    // Check WebP support
+    const supportsWebP = await this.checkWebPSupport();
+    this.assertGeneration(generation);
+
+    const imageFormat = supportsWebP ? this.config.imageFormat : 'jpg';
+    if (!supportsWebP) {
+      console.warn('⚠️  WebP not supported, falling back to JPG');
+    }
+
+    // Resolve frame URLs from the manifest (or legacy naming scheme)
+    const sequence = this.config.manifestUrl
+      ? await this.loadManifest(imageFormat, generation)
+      : { manifest: null, variant: null, frameSources: this.buildLegacyFrameSources(imageFormat) };
+    this.assertGeneration(generation);
+
+    let frameSources = sequence.frameSources;
+
+    // Sample across the whole clip on mobile unless a mobile sequence was loaded
+    if (this.isMobile && sequence.variant !== 'mobile') {
+      frameSources = this.subsampleFrames(frameSources, this.config.mobileFrameCount);
+      console.log(`📱 Mobile detected: Using ${frameSources.length} frames`);
+    }
+
+    this.supportsWebP = supportsWebP;
+    this.config.imageFormat = imageFormat;
+    this.manifest = sequence.manifest;
+    this.variant = sequence.variant;
+    this.frameSources = frameSources;
+    this.config.totalFrames = frameSources.length;
+
+    // Decode frames off the main thread where supported
+    if (this.config.decodeInWorker && typeof FrameDecoder !== 'undefined' && FrameDecoder.isSupported()) {
+      this.decoder = new FrameDecoder({ workerUrl: this.config.decoderWorkerUrl });
+    }
+
+    // Cap decoded frame memory (~8 MB per 1080p frame). Browsers that don't
+    // report deviceMemory (Safari, Firefox) get no cap unless one is configured.
+    const deviceMemory = navigator.deviceMemory;
+    const budgetMB = this.config.memoryBudgetMB || (deviceMemory ? Math.min(512, deviceMemory * 64) : null);
+    this.memoryBudget = budgetMB ? budgetMB * 1024 * 1024 : Infinity;
+  }
+
+  /**
+   * Load the video source and size the virtual frame range from its duration
+   */
+  async loadVideo() {
+    const generation = this.generation;
+    const videoSource = new VideoFrameSource({
+      url: this.config.videoUrl,
+      frameRate: this.config.videoFrameRate,
+      onFrame: () => this.drawFrameWithBlending(this.currentFrame)
+    });
+
+    this.videoSource = videoSource;
+
+    try {
+      await videoSource.load();
+      this.assertGeneration(generation);
+    } catch (error) {
+      videoSource.destroy();
+      throw error;
+    }
+
+    this.config.totalFrames = this.videoSource.frameCount;
+    this.loadedCount = this.config.totalFrames;
+    this.updateProgress();
+
+    console.log(`🎬 Video loaded: ${this.videoSource.duration.toFixed(1)}s, ${this.config.totalFrames} frames`);
+  }
+
   /**
    * Check WebP support
    */
@@ -118,6 +334,124 @@ class ForestScroller {
     });
   }
 
+  /**
+   * Load the frame-sequence manifest and resolve frame URLs
+   * (see README "Frame Manifest" for the format).
+   * Returns { manifest, variant, frameSources }.
+   */
+  async loadManifest(imageFormat, generation) {
+    const response = await fetch(this.config.manifestUrl);
+    this.assertGeneration(generation);
+
+    if (!response.ok) {
+      throw new Error(`Failed to load manifest ${this.config.manifestUrl} (${response.status})`);
+    }
+
+    const manifest = await response.json();
+    this.assertGeneration(generation);
+
+    const variants = manifest.variants || {};
+    const wantsMobile = this.isMobile && this.config.mobileStrategy !== 'stride';
+    const preferred = this.config.variant || (wantsMobile ? 'mobile' : 'desktop');
+    const variantName = variants[preferred] ? preferred : 'desktop';
+
+    const variant = variants[variantName];
+    if (!variant || !Array.isArray(variant.frames) || variant.frames.length === 0) {
+      throw new Error(`Manifest has no frames for variant "${variantName}"`);
+    }
+
+    // Frame paths are relative to the manifest unless the variant says otherwise
+    const baseUrl = new URL(variant.path || '', new URL(this.config.manifestUrl, document.baseURI));
+
+    // Preferred format first, then the manifest's listed formats, then whatever a frame has
+    const formats = [imageFormat, ...(Array.isArray(manifest.formats) ? manifest.formats : [])];
+
+    const frameSources = variant.frames.map((frame, index) => {
+      const format = formats.find(name => frame[name]) || Object.keys(frame).find(name => frame[name] && frame[name].file);
+      const entry = format && frame[format];
+      if (!entry || !entry.file) {
+        throw new Error(`Manifest frame ${index} has no ${imageFormat} source`);
+      }
+
+      const url = new URL(entry.file, baseUrl);
+      if (entry.hash) {
+        url.searchParams.set('v', entry.hash);
+      }
+
+      return {
+        url: url.href,
+        sourceIndex: index,
+        width: entry.width || variant.width,
+        height: entry.height || variant.height,
+        bytes: entry.bytes || 0
+      };
+    });
+
+    console.log(`📄 Manifest loaded: ${frameSources.length} ${variantName} frames`);
+    return { manifest, variant: variantName, frameSources };
+  }
+
+  /**
+   * Build frame URLs from imagePath/imagePrefix/totalFrames
+   */
+  buildLegacyFrameSources(imageFormat) {
+    const frameSources = [];
+
+    for (let i = 0; i < this.config.totalFrames; i++) {
+      const frameNumber = String(i + 1).padStart(3, '0');
+      frameSources.push({
+        url: `${this.config.imagePath}${this.config.imagePrefix}${frameNumber}.${imageFormat}`,
+        sourceIndex: i,
+        width: 0,
+        height: 0,
+        bytes: 0
+      });
+    }
+
+    return frameSources;
+  }
+
+  /**
+   * Reduce a sequence to `count` frames sampled evenly across the whole clip
+   * (first and last frames are always kept)
+   */
+  subsampleFrames(frameSources, count) {
+    const total = frameSources.length;
+    if (count >= total || count < 2) return frameSources;
+
+    const stride = (total - 1) / (count - 1);
+    const sampled = [];
+
+    for (let i = 0; i < count; i++) {
+      sampled.push(frameSources[Math.round(i * stride)]);
+    }
+
+    return sampled;
+  }
+
+  /**
+   * Attach to the shared quality governor (or create our own)
+   */
+  setupQuality() {
+    this.quality = this.config.quality || new QualityGovernor({ adaptive: this.config.adaptiveQuality });
+
+    if (!this.config.quality) {
+      this.addDisposer(() => this.quality.destroy());
+    }
+
+    // Pixel ratio may have changed; resizing also redraws the current frame
+    this.addDisposer(this.quality.on('change', () => this.resizeCanvas()));
+  }
+
+  /**
+   * Redraw when the parallax target moves (the loop eases towards it)
+   */
+  setupParallax() {
+    if (!this.config.parallax) return;
+
+    this.addDisposer(this.config.parallax.on('change', () => this.requestRender()));
+  }
+
   /**
    * Setup canvas element
    */
@@ -133,10 +467,43 @@ class ForestScroller {
       desynchronized: true // Optimize for animations
     });
 
+    // Frames can be composited on the GPU, then drawn in as the 'frames' pass
+    if (this.config.renderer !== '2d') {
+      this.createWebGLRenderer();
+    }
+
     // Set canvas size
     this.resizeCanvas();
 
-    console.log('✅ Canvas initialized');
+    console.log(`✅ Canvas initialized (${this.webgl ? 'WebGL' : '2D'})`);
+  }
+
+  /**
+   * Try the WebGL backend; leaves this.webgl null when unavailable
+   */
+  createWebGLRenderer() {
+    try {
+      this.webgl = new WebGLFrameRenderer(document.createElement('canvas'));
+    } catch (error) {
+      console.warn('⚠️  WebGL renderer unavailable, using 2D canvas:', error.message);
+      return;
+    }
+
+    this.listen(this.webgl.canvas, 'webglcontextlost', () => this.fallbackTo2D('WebGL context lost'));
+  }
+
+  /**
+   * Switch to the 2D path at runtime (e.g. the GPU dropped the WebGL context)
+   */
+  fallbackTo2D(reason) {
+    if (!this.webgl) return;
+
+    console.warn('⚠️  ForestScroller: Falling back to 2D canvas:', reason);
+
+    this.webgl.destroy();
+    this.webgl = null;
+
+    this.resizeCanvas();
   }
 
   /**
@@ -146,7 +513,7 @@ class ForestScroller {
     if (!this.canvas) return;
 
     const container = this.canvas.parentElement;
-    const dpr = window.devicePixelRatio || 1;
+    const dpr = (window.devicePixelRatio || 1) * this.quality.getSettings().pixelRatioScale;
 
     // Set display size
     const displayWidth = container.clientWidth;
@@ -162,77 +529,324 @@ class ForestScroller {
 
     // Scale context to account for pixel ratio
     this.ctx.scale(dpr, dpr);
+    this.invalidatePassCache();
+
+    if (this.webgl) {
+      this.webgl.resize(this.canvas.width, this.canvas.height);
+    }
 
     // Redraw current frame with blending
-    if (this.images[Math.floor(this.currentFrame)]) {
+    if (this.loadedCount > 0) {
       this.drawFrameWithBlending(this.currentFrame);
     }
   }
 
   /**
-   * Preload images progressively
+   * Preload priority frames, then hand the rest to the loading scheduler
    */
   async preloadImages() {
     console.log(`🔄 Preloading ${this.config.totalFrames} frames...`);
 
-    // Priority loading: First frame, last frame, then middle frames
-    const priorityFrames = [
+    // Priority loading: first and last frame anchor the sequence,
+    // the scheduler then fills in coarse-to-fine (every 16th, 8th, 4th...)
+    const priorityFrames = [...new Set([
       0, // First frame (immediate display)
-      Math.floor(this.config.totalFrames / 2), // Middle
       this.config.totalFrames - 1 // Last frame
-    ];
-
-    // Load priority frames first
-    for (const frameIndex of priorityFrames) {
-      await this.loadImage(frameIndex);
-    }
+    ])];
+
+    // Anchors load side by side and don't hold up the stream: a failing one
+    // retries in the background while its neighbours fill the gap
+    this.anchorLoads = new AbortController();
+    priorityFrames.forEach(frameIndex => {
+      this.loadImage(frameIndex, this.anchorLoads.signal).catch(() => {
+        // Accounted for in loadImage (failureTolerance decides when it's fatal)
+      });
+    });
 
-    // Draw first frame immediately
-    if (this.images[0]) {
-      this.drawFrame(0);
-    }
+    // Stream remaining frames through the scheduler, nearest to the scroll target first
+    this.loader = new FrameLoader({
+      loadFrame: (index, signal) => this.loadImage(index, signal),
+      isLoaded: (index) => this.loadedImages.has(index),
+      canPrefetch: () => this.getResidentBytes() < this.memoryBudget, // don't fetch what would be evicted
+      concurrency: this.config.maxConcurrentLoads,
+      lookahead: this.config.preloadCount
+    });
 
-    // Load remaining frames in order
-    const loadPromises = [];
+    const remainingFrames = [];
     for (let i = 0; i < this.config.totalFrames; i++) {
       if (!priorityFrames.includes(i)) {
-        loadPromises.push(this.loadImage(i));
+        remainingFrames.push(i);
+      }
+    }
+
+    this.loader.enqueue(remainingFrames);
+
+    const stats = this.loader.getStats();
+    console.log(`🔄 Streaming ${remainingFrames.length} frames (${stats.profile}, ${stats.concurrency} at a time)`);
+
+    // First paint: whichever frame arrives first stands in for its neighbours
+    await this.waitForFirstFrame();
+    this.drawFrame(this.currentFrame);
+  }
+
+  /**
+   * Resolve once any frame has loaded. Rejects when the sequence is declared
+   * broken (see recordFrameFailure()), every frame failed, or on teardown.
+   */
+  waitForFirstFrame() {
+    if (this.loadedCount > 0) return Promise.resolve();
+
+    return new Promise((resolve, reject) => {
+      const unsubscribers = [];
+      let settled = false;
+
+      const settle = (error) => {
+        if (settled) return;
+        settled = true;
+
+        unsubscribers.forEach(off => off());
+        if (error) {
+          reject(error);
+        } else {
+          resolve();
+        }
+      };
+
+      unsubscribers.push(this.on('loadprogress', () => settle()));
+      unsubscribers.push(this.on('error', ({ error }) => settle(error)));
+      unsubscribers.push(this.on('frameerror', ({ failedCount }) => {
+        if (failedCount >= this.config.totalFrames) {
+          settle(new Error('No frames could be loaded'));
+        }
+      }));
+
+      this.addDisposer(() => settle(new DOMException('ForestScroller was torn down', 'AbortError')));
+    });
+  }
+
+  /**
+   * Load a single frame (aborted loads reject with an AbortError)
+   */
+  async loadImage(index, signal) {
+    if (this.loadedImages.has(index)) return;
+
+    const generation = this.generation;
+
+    const imagePath = this.frameSources[index].url;
+    let frame = null;
+    let lastError = null;
+    let attempts = 0;
+
+    // Retry with exponential backoff before giving up on the frame
+    while (!frame) {
+      attempts++;
+
+      try {
+        frame = await this.fetchFrame(imagePath, signal);
+      } catch (error) {
+        if (error.name === 'AbortError') throw error;
+
+        lastError = error;
+        if (attempts > this.config.maxRetries) break;
+
+        await this.wait(this.config.retryDelay * Math.pow(2, attempts - 1), signal);
       }
+
+      // Drop results that arrive after a teardown
+      if (generation !== this.generation && frame && frame.close) frame.close();
+      this.assertGeneration(generation);
+    }
+
+    if (!frame) {
+      this.assertGeneration(generation);
+      this.recordFrameFailure(index, imagePath, attempts, lastError);
+      throw new Error(`Failed to load frame ${index}`);
+    }
+
+    this.failedFrames.delete(index);
+
+    this.images[index] = frame;
+    this.loadedImages.add(index);
+    this.touchFrame(index);
+
+    // Re-fetching an evicted frame is not loading progress
+    if (!this.evictedFrames.delete(index)) {
+      this.loadedCount++;
+      this.updateProgress();
     }
 
-    await Promise.all(loadPromises);
+    this.enforceMemoryBudget();
 
-    console.log(`✅ Loaded ${this.loadedCount}/${this.config.totalFrames} frames`);
+    // A new frame may refine what is on screen
+    this.requestRender();
   }
 
   /**
-   * Load a single image
+   * Mark a frame as recently used
    */
-  async loadImage(index) {
+  touchFrame(index) {
+    this.frameLastUsed.set(index, ++this.useTick);
+  }
+
+  /**
+   * Decoded size of a frame in bytes (RGBA)
+   */
+  getFrameBytes(frame) {
+    return frame ? frame.width * frame.height * 4 : 0;
+  }
+
+  /**
+   * Decoded bytes held by all resident frames
+   */
+  getResidentBytes() {
+    let bytes = 0;
+    this.loadedImages.forEach(index => {
+      bytes += this.getFrameBytes(this.images[index]);
+    });
+    return bytes;
+  }
+
+  /**
+   * Evict least-recently-used frames far from the current position until
+   * decoded memory fits the budget. Evicted frames are re-fetched (usually
+   * from the HTTP cache) when the scroll position comes back to them.
+   * Keyframes (the loader's coarsest level) stay: the rest of the clip falls
+   * back to them.
+   */
+  enforceMemoryBudget() {
+    let residentBytes = this.getResidentBytes();
+    if (residentBytes <= this.memoryBudget) return;
+
+    const protectedRange = this.config.preloadCount * 2;
+    const current = Math.round(this.currentFrame);
+
+    const candidates = [...this.loadedImages]
+      .filter(index => Math.abs(index - current) > protectedRange && !this.isKeyframe(index))
+      .sort((a, b) => (this.frameLastUsed.get(a) || 0) - (this.frameLastUsed.get(b) || 0));
+
+    for (const index of candidates) {
+      if (residentBytes <= this.memoryBudget) break;
+
+      const frame = this.images[index];
+      residentBytes -= this.getFrameBytes(frame);
+
+      if (frame && frame.close) frame.close();
+      this.images[index] = undefined;
+      this.loadedImages.delete(index);
+      this.frameLastUsed.delete(index);
+      this.evictedFrames.add(index);
+    }
+  }
+
+  /**
+   * Whether a frame is on the loader's coarsest level (every keyframeInterval-th)
+   */
+  isKeyframe(index) {
+    return !!this.loader && this.loader.getLevel(index) === 0;
+  }
+
+  /**
+   * Resolve after `ms`, or reject with an AbortError when the signal fires
+   */
+  wait(ms, signal) {
     return new Promise((resolve, reject) => {
-      if (this.loadedImages.has(index)) {
+      const handleAbort = () => {
+        clearTimeout(timeout);
+        reject(new DOMException('Wait aborted', 'AbortError'));
+      };
+
+      const timeout = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', handleAbort);
         resolve();
-        return;
+      }, ms);
+
+      if (signal) {
+        signal.addEventListener('abort', handleAbort, { once: true });
+      }
+    });
+  }
+
+  /**
+   * Track a frame that failed all retries. Drawing falls back to the nearest
+   * good frames; only beyond `failureTolerance` is the sequence declared broken.
+   */
+  recordFrameFailure(index, url, attempts, error) {
+    this.failedFrames.add(index);
+    console.warn(`⚠️  Failed to load: ${url} (${attempts} attempts)`);
+
+    const details = { index, url, attempts, error, failedCount: this.failedFrames.size };
+    if (this.config.onFrameError) {
+      this.config.onFrameError(details);
+    }
+    this.emit('frameerror', details);
+
+    const maxFailures = Math.floor(this.config.totalFrames * this.config.failureTolerance);
+    if (this.failedFrames.size > maxFailures) {
+      // Broken: no point fetching and retrying the rest
+      this.stopLoading();
+      this.reportError(new Error(`${this.failedFrames.size}/${this.config.totalFrames} frames failed to load`));
+    }
+  }
+
+  /**
+   * Abort every frame load and retry: the loader's queue and the anchor frames
+   */
+  stopLoading() {
+    if (this.loader) {
+      this.loader.destroy();
+      this.loader = null;
+    }
+
+    if (this.anchorLoads) {
+      this.anchorLoads.abort();
+      this.anchorLoads = null;
+    }
+  }
+
+  /**
+   * Fetch a frame as an ImageBitmap via the decoder worker, or as an <img>
+   */
+  async fetchFrame(url, signal) {
+    if (this.decoder && !this.decoder.failed) {
+      try {
+        return await this.decoder.decode(url, signal);
+      } catch (error) {
+        // Only a dead worker falls through to the <img> path
+        if (!this.decoder || !this.decoder.failed) throw error;
       }
+    }
 
+    return this.loadImageElement(url, signal);
+  }
+
+  /**
+   * Load a frame through an <img> element (decoded lazily on first draw)
+   */
+  loadImageElement(url, signal) {
+    return new Promise((resolve, reject) => {
       const img = new Image();
-      const frameNumber = String(index + 1).padStart(3, '0');
-      const imagePath = `${this.config.imagePath}${this.config.imagePrefix}${frameNumber}.${this.config.imageFormat}`;
+
+      const handleAbort = () => {
+        img.onload = img.onerror = null;
+        img.src = '';
+        reject(new DOMException('Frame load aborted', 'AbortError'));
+      };
+
+      if (signal) {
+        signal.addEventListener('abort', handleAbort, { once: true });
+      }
 
       img.onload = () => {
-        this.images[index] = img;
-        this.loadedImages.add(index);
-        this.loadedCount++;
-        this.updateProgress();
-        resolve();
+        if (signal) signal.removeEventListener('abort', handleAbort);
+        resolve(img);
       };
 
       img.onerror = () => {
-        console.warn(`⚠️  Failed to load: ${imagePath}`);
-        reject(new Error(`Failed to load frame ${index}`));
+        if (signal) signal.removeEventListener('abort', handleAbort);
+        reject(new Error(`Failed to load ${url}`));
       };
 
-      img.src = imagePath;
+      img.src = url;
     });
   }
 
@@ -245,9 +859,14 @@ class ForestScroller {
     if (this.config.onProgress) {
       this.config.onProgress(progress, this.loadedCount, this.config.totalFrames);
     }
+    this.emit('loadprogress', { progress, loaded: this.loadedCount, total: this.config.totalFrames });
 
-    if (this.config.onLoad && this.loadedCount === this.config.totalFrames) {
-      this.config.onLoad();
+    if (this.loadedCount === this.config.totalFrames) {
+      if (this.config.onLoad) {
+        this.config.onLoad();
+      }
+      this.emit('load');
+      console.log(`✅ Loaded ${this.loadedCount}/${this.config.totalFrames} frames`);
     }
   }
 
@@ -256,10 +875,11 @@ class ForestScroller {
    */
   setupScrollListener() {
     let ticking = false;
+    let scrollFrameId = null;
 
     const handleScroll = () => {
       if (!ticking) {
-        requestAnimationFrame(() => {
+        scrollFrameId = this.config.scheduler.requestFrame(() => {
           this.updateScrollPosition();
           ticking = false;
         });
@@ -267,33 +887,256 @@ class ForestScroller {
       }
     };
 
-    window.addEventListener('scroll', handleScroll, { passive: true });
+    this.listen(window, 'scroll', handleScroll, { passive: true });
+    this.addDisposer(() => this.config.scheduler.cancelFrame(scrollFrameId));
+
+    // Re-measure the scroll range whenever the page layout changes size
+    if (typeof ResizeObserver !== 'undefined') {
+      const layoutObserver = new ResizeObserver(() => {
+        this.measureScrollRange();
+        this.updateScrollPosition();
+      });
+      layoutObserver.observe(document.body);
+      this.addDisposer(() => layoutObserver.disconnect());
+    }
+
+    // Initial position
+    this.measureScrollRange();
+    this.updateScrollPosition();
+  }
+
+  /**
+   * Resolve scrollStart/scrollEnd to absolute scroll offsets
+   */
+  measureScrollRange() {
+    if (this.config.chapters && this.config.chapters.length > 0) {
+      this.measureChapters();
+      return;
+    }
+
+    const trigger = this.resolveElement(this.config.scrollTrigger) || document.documentElement;
+
+    // Chapters removed (setChapters(null) / []): forget their ranges, grading and state
+    this.chapterRanges = [];
+    this.gradingStops = [];
+
+    if (this.activeChapter !== null) {
+      this.emit('chapterleave', { chapter: this.activeChapter });
+      this.activeChapter = null;
+    }
+
+    this.scrollRange = {
+      start: this.resolveScrollPosition(this.config.scrollStart, trigger, 'top top'),
+      end: this.resolveScrollPosition(this.config.scrollEnd, trigger, 'bottom bottom')
+    };
+  }
+
+  /**
+   * Measure chapter scroll spans. A chapter runs from its `start` (default: its
+   * element's top at the viewport top) to the next chapter's start; the last one
+   * ends at its `end` (default: its element's bottom at the viewport bottom).
+   */
+  measureChapters() {
+    const chapters = this.config.chapters;
+    const lastFrame = this.config.totalFrames - 1;
+
+    const starts = chapters.map(chapter => {
+      const element = this.resolveElement(chapter.element) || document.documentElement;
+      return this.resolveScrollPosition(chapter.start || 'top top', element, 'top top');
+    });
+
+    this.chapterRanges = chapters.map((chapter, i) => {
+      const element = this.resolveElement(chapter.element) || document.documentElement;
+      const end = i < chapters.length - 1
+        ? starts[i + 1]
+        : this.resolveScrollPosition(chapter.end || 'bottom bottom', element, 'bottom bottom');
+
+      // Clip position as a fraction (survives mobile subsampling) or frame indices
+      const [from, to] = chapter.frames
+        ? chapter.frames.map(frame => Math.max(0, Math.min(frame, lastFrame)))
+        : (chapter.progress || [0, 1]).map(progress => progress * lastFrame);
+
+      return {
+        name: chapter.name,
+        start: starts[i],
+        end: Math.max(starts[i], end),
+        from,
+        to,
+        ease: this.getEasing(chapter.easing || 'linear'),
+        grading: { ...this.config.grading, ...chapter.grading }
+      };
+    });
+
+    // Each chapter's grading is reached where its stretch of the clip begins
+    // and blends into the next one's
+    this.gradingStops = this.config.chapters.some(chapter => chapter.grading)
+      ? this.chapterRanges
+        .map(range => ({ frame: Math.min(range.from, range.to), grading: range.grading }))
+        .sort((a, b) => a.frame - b.frame)
+      : [];
+
+    this.scrollRange = {
+      start: this.chapterRanges[0].start,
+      end: this.chapterRanges[this.chapterRanges.length - 1].end
+    };
+  }
+
+  /**
+   * Replace the chapter list at runtime
+   */
+  setChapters(chapters) {
+    this.config.chapters = chapters;
+    this.measureScrollRange();
+    this.updateScrollPosition();
+  }
+
+  /**
+   * Map a scroll offset to a frame through the chapter it falls in
+   */
+  getChapterFrame(scrolled) {
+    let chapter = this.chapterRanges[0];
+
+    for (const range of this.chapterRanges) {
+      if (scrolled >= range.start) chapter = range;
+    }
+
+    const length = chapter.end - chapter.start;
+    const progress = length > 0 ? Math.max(0, Math.min(1, (scrolled - chapter.start) / length)) : 1;
+
+    if (chapter.name !== this.activeChapter) {
+      if (this.activeChapter !== null) {
+        this.emit('chapterleave', { chapter: this.activeChapter });
+      }
+      this.activeChapter = chapter.name;
+      this.emit('chapterenter', { chapter: chapter.name });
+    }
+
+    // Reduced motion: one still per chapter
+    if (this.reducedMotion) return chapter.from;
+
+    return chapter.from + (chapter.to - chapter.from) * chapter.ease(progress);
+  }
+
+  /**
+   * Resolve an easing name (see ForestScroller.easings) or function
+   */
+  getEasing(easing) {
+    if (typeof easing === 'function') return easing;
+    return ForestScroller.easings[easing] || ForestScroller.easings.linear;
+  }
+
+  /**
+   * Resolve an element or selector (null when missing)
+   */
+  resolveElement(target) {
+    if (!target) return null;
+    return typeof target === 'string' ? document.querySelector(target) : target;
+  }
+
+  /**
+   * Scroll offset at which `position` is reached. `position` is either a
+   * ScrollTrigger-style "<element edge> <viewport edge>" expression relative to
+   * `trigger` (edges: top | center | bottom | N% | Npx), or an element/selector
+   * measured with `fallbackExpression`.
+   */
+  resolveScrollPosition(position, trigger, fallbackExpression) {
+    let element = trigger;
+    let expression = position;
+
+    if (typeof position !== 'string' || !/^(top|center|bottom|-?\d)/.test(position)) {
+      element = this.resolveElement(position);
+      expression = fallbackExpression;
+
+      if (!element) {
+        console.warn(`⚠️  Scroll range element not found: ${position}`);
+        element = document.documentElement;
+      }
+    }
+
+    const [elementEdge, viewportEdge = 'top'] = expression.trim().split(/\s+/);
+    const rect = element.getBoundingClientRect();
+    const elementTop = rect.top + window.pageYOffset;
 
-    // Initial position
-    this.updateScrollPosition();
+    const offset = elementTop +
+      this.parseEdge(elementEdge, rect.height) -
+      this.parseEdge(viewportEdge, window.innerHeight);
+
+    const maxScroll = document.documentElement.scrollHeight - window.innerHeight;
+    return Math.max(0, Math.min(offset, maxScroll));
+  }
+
+  /**
+   * Convert an edge keyword, percentage or pixel value to pixels within `size`
+   */
+  parseEdge(edge, size) {
+    if (edge === 'top') return 0;
+    if (edge === 'center') return size / 2;
+    if (edge === 'bottom') return size;
+    if (edge.endsWith('%')) return (parseFloat(edge) / 100) * size;
+    return parseFloat(edge) || 0;
   }
 
   /**
    * Update scroll position and calculate target frame
    */
   updateScrollPosition() {
-    const scrollHeight = document.documentElement.scrollHeight - window.innerHeight;
+    const { start, end } = this.scrollRange;
     const scrolled = window.pageYOffset;
-    const scrollProgress = scrollHeight > 0 ? Math.max(0, Math.min(1, scrolled / scrollHeight)) : 0;
+    const rangeLength = end - start;
+    const scrollProgress = rangeLength > 0 ? Math.max(0, Math.min(1, (scrolled - start) / rangeLength)) : 0;
+
+    this.updateRangeState(scrolled < start ? 'before' : scrolled > end ? 'after' : 'active');
 
     // Calculate scroll velocity for adaptive smoothing
     const deltaScroll = scrolled - this.lastScrollY;
     this.scrollVelocity = Math.abs(deltaScroll);
     this.lastScrollY = scrolled;
 
-    // Apply easing to scroll progress for smoother feel
-    const easedProgress = this.easeInOutCubic(scrollProgress);
+    if (this.chapterRanges.length > 0) {
+      // Each chapter lands on its own frame range with its own easing
+      this.targetFrame = this.getChapterFrame(scrolled);
+    } else if (this.reducedMotion) {
+      // Evenly spaced stills
+      const steps = Math.max(2, this.config.reducedMotionSteps);
+      this.targetFrame = Math.round(scrollProgress * (steps - 1)) / (steps - 1) * (this.config.totalFrames - 1);
+    } else {
+      // Apply easing to scroll progress for smoother feel
+      const easedProgress = this.easeInOutCubic(scrollProgress);
 
-    // Map scroll progress to frame index
-    this.targetFrame = easedProgress * (this.config.totalFrames - 1);
+      // Map scroll progress to frame index
+      this.targetFrame = easedProgress * (this.config.totalFrames - 1);
+    }
 
     // Lazy load nearby frames
     this.lazyLoadNearbyFrames(Math.floor(this.targetFrame));
+
+    // Wake the render loop if it went idle
+    this.requestRender();
+  }
+
+  /**
+   * Track whether the scroll position is before, inside or after the range.
+   * Unheld ends mark the container so CSS can hide the forest there, and
+   * suspend rendering (emitting `rangechange`).
+   */
+  updateRangeState(state) {
+    if (state === this.rangeState) return;
+    this.rangeState = state;
+
+    const held = (state === 'before' && this.config.holdStart) || (state === 'after' && this.config.holdEnd);
+    const hidden = state !== 'active' && !held;
+
+    this.setSuspendReason('outofrange', hidden);
+    this.emit('rangechange', { state, hidden });
+
+    const container = this.canvas && this.canvas.parentElement;
+    if (!container) return;
+
+    if (!hidden) {
+      delete container.dataset.forestRange;
+    } else {
+      container.dataset.forestRange = state;
+    }
   }
 
   /**
@@ -313,18 +1156,22 @@ class ForestScroller {
   }
 
   /**
-   * Lazy load frames near current position
+   * Re-prioritize frame loading around the current position
    */
   lazyLoadNearbyFrames(currentIndex) {
-    const preloadRange = this.config.preloadCount;
+    if (!this.loader) return;
 
-    for (let i = currentIndex; i < currentIndex + preloadRange && i < this.config.totalFrames; i++) {
-      if (!this.loadedImages.has(i)) {
-        this.loadImage(i).catch(() => {
-          // Silent fail for lazy loading
-        });
+    // Bring evicted frames back as the scroll position returns to them
+    if (this.evictedFrames.size > 0) {
+      const range = this.config.preloadCount * 2;
+      const nearby = [...this.evictedFrames].filter(index => Math.abs(index - currentIndex) <= range);
+
+      if (nearby.length > 0) {
+        this.loader.enqueue(nearby);
       }
     }
+
+    this.loader.setTarget(currentIndex);
   }
 
   /**
@@ -337,10 +1184,13 @@ class ForestScroller {
       clearTimeout(resizeTimeout);
       resizeTimeout = setTimeout(() => {
         this.resizeCanvas();
+        this.measureScrollRange();
+        this.updateScrollPosition();
       }, 250);
     };
 
-    window.addEventListener('resize', handleResize);
+    this.listen(window, 'resize', handleResize);
+    this.addDisposer(() => clearTimeout(resizeTimeout));
   }
 
   /**
@@ -354,66 +1204,434 @@ class ForestScroller {
         this.fps = 1000 / delta;
       }
       this.lastFrameTime = timestamp;
+      this.quality.sample(timestamp);
+      if (this.config.parallax) this.config.parallax.update(timestamp);
 
-      // Adaptive smoothing based on velocity (more subtle)
-      const adaptiveSmoothness = this.scrollVelocity > 50 ? 0.12 : 0.06;
-
-      // Smooth interpolation to target frame with subtle spring physics
-      const diff = this.targetFrame - this.currentFrame;
-      this.velocity += diff * adaptiveSmoothness;
-      this.velocity *= 0.75; // Stronger damping for less bounce
-      this.currentFrame += this.velocity;
-
-      // Clamp current frame
-      this.currentFrame = Math.max(0, Math.min(this.currentFrame, this.config.totalFrames - 1));
-
-      // Snap to nearest frame when velocity is low (prevents fuzzy frames)
       const velocityThreshold = 0.05;
-      if (Math.abs(this.velocity) < velocityThreshold) {
-        this.currentFrame = Math.round(this.currentFrame);
+
+      if (this.reducedMotion) {
+        this.stepToTarget(timestamp);
+      } else {
+        // Adaptive smoothing based on velocity (more subtle)
+        const adaptiveSmoothness = this.scrollVelocity > 50 ? 0.12 : 0.06;
+
+        // Smooth interpolation to target frame with subtle spring physics
+        const diff = this.targetFrame - this.currentFrame;
+        this.velocity += diff * adaptiveSmoothness;
+        this.velocity *= 0.75; // Stronger damping for less bounce
+        this.currentFrame += this.velocity;
+
+        // Clamp current frame
+        this.currentFrame = Math.max(0, Math.min(this.currentFrame, this.config.totalFrames - 1));
+
+        // Snap to nearest frame when velocity is low (prevents fuzzy frames)
+        if (Math.abs(this.velocity) < velocityThreshold) {
+          this.currentFrame = Math.round(this.currentFrame);
+        }
       }
 
       // Draw with frame blending for ultra-smooth effect
       this.drawFrameWithBlending(this.currentFrame);
 
+      if (this.crossfade && this.crossfade.mix >= 1) {
+        this.crossfade = null;
+      }
+
+      this.emitFrameEvents();
+
+      // Go idle once the spring has settled (and no pass animates on its own);
+      // scroll input restarts the loop
+      const settled = Math.abs(this.velocity) < velocityThreshold &&
+        Math.abs(this.targetFrame - this.currentFrame) <= 0.5 &&
+        !this.crossfade &&
+        !(this.config.parallax && this.config.parallax.isMoving()) &&
+        !this.passes.some(pass => pass.animated);
+
+      if (settled) {
+        this.stopAnimationLoop();
+        return;
+      }
+
       // Continue animation
-      this.animationFrameId = requestAnimationFrame(animate);
+      this.animationFrameId = this.config.scheduler.requestFrame(animate);
+    };
+
+    this.animationFrameId = this.config.scheduler.requestFrame(animate);
+  }
+
+  /**
+   * Reduced motion: no spring. Jump to the target still and crossfade from the
+   * previous one over `crossfadeDuration`.
+   */
+  stepToTarget(timestamp) {
+    const target = Math.round(this.targetFrame);
+    this.velocity = 0;
+
+    if (target !== this.currentFrame) {
+      // A video element shows one frame at a time: no crossfade there
+      this.crossfade = this.videoSource ? null : { from: Math.round(this.currentFrame), start: timestamp, mix: 0 };
+      this.currentFrame = target;
+    }
+
+    if (this.crossfade) {
+      this.crossfade.mix = Math.min(1, (timestamp - this.crossfade.start) / this.config.crossfadeDuration);
+    }
+  }
+
+  /**
+   * Switch between the spring and stills when the OS setting changes
+   */
+  onReducedMotionChange() {
+    this.crossfade = null;
+    this.velocity = 0;
+
+    if (!this.isLoading) {
+      this.updateScrollPosition();
+    }
+  }
+
+  /**
+   * Stop the animation loop
+   */
+  stopAnimationLoop() {
+    if (this.animationFrameId) {
+      this.config.scheduler.cancelFrame(this.animationFrameId);
+    }
+
+    this.animationFrameId = null;
+    this.lastFrameTime = 0; // don't count idle time as a slow frame
+    if (this.quality) this.quality.resetClock();
+  }
+
+  /**
+   * Make sure the loop runs unless paused, suspended or already running
+   */
+  requestRender() {
+    // Whatever changed may show in the cached passes
+    this.invalidatePassCache();
+
+    if (this.animationFrameId || this.isPaused || this.isSuspended() || !this.canvas) return;
+    this.startAnimationLoop();
+  }
+
+  /**
+   * Stop rendering while hidden/offscreen, catch up when visible again
+   */
+  onSuspendChange(suspended) {
+    if (suspended) {
+      this.stopAnimationLoop();
+    } else {
+      this.requestRender();
+    }
+  }
+
+  /**
+   * Emit `progress` whenever the displayed position moves and `frame`
+   * whenever it crosses to another whole frame
+   */
+  emitFrameEvents() {
+    if (this.currentFrame === this.lastEmittedFrame) return;
+    this.lastEmittedFrame = this.currentFrame;
+
+    this.emit('progress', { progress: this.getProgress(), frame: this.currentFrame });
+
+    const frame = Math.round(this.currentFrame);
+    if (frame !== this.previousFrame) {
+      this.emit('frame', { frame, previous: this.previousFrame });
+      this.previousFrame = frame;
+    }
+  }
+
+  /**
+   * Register a render pass, drawn into the canvas every frame in ascending `order`:
+   * { name, order = 100, animated = false, render(ctx, info) }.
+   * The built-in 'frames' pass (order 0) draws the graded frame. `animated`
+   * passes keep the render loop running while the scroll position is at rest;
+   * meanwhile the passes below the first animated one are drawn once and
+   * reused, so call requestRender() when something else they show changes.
+   * Returns a function that removes the pass.
+   */
+  addPass(pass) {
+    const entry = { order: 100, animated: false, ...pass };
+
+    // One pass per name
+    this.removePass(entry.name);
+
+    this.passes.push(entry);
+    this.passes.sort((a, b) => a.order - b.order); // stable: equal orders draw in insertion order
+
+    this.requestRender();
+
+    return () => this.removePass(entry);
+  }
+
+  /**
+   * Remove a render pass by name or by the object passed to addPass()
+   */
+  removePass(pass) {
+    const index = typeof pass === 'string'
+      ? this.passes.findIndex(entry => entry.name === pass)
+      : this.passes.indexOf(pass);
+
+    if (index === -1) return;
+
+    this.passes.splice(index, 1);
+    this.requestRender();
+  }
+
+  /**
+   * Names of the registered render passes in drawing order
+   */
+  getPasses() {
+    return this.passes.map(pass => pass.name);
+  }
+
+  /**
+   * Draw frame with blending for ultra-smooth transitions. Returns the frames
+   * drawn and their blend factor ({ frameA, frameB, mix, dynamic }), or null.
+   */
+  drawFrameWithBlending(exactFrame, time = this.config.clock()) {
+    if (!this.canvas) return null;
+
+    let source;
+
+    if (this.videoSource) {
+      source = this.getVideoFrame(exactFrame);
+    } else if (this.crossfade) {
+      source = this.getCrossfadeFrames();
+    } else {
+      source = this.getSequenceFrames(exactFrame);
+    }
+
+    if (!source) return null;
+
+    this.composite(exactFrame, source, time);
+    return source;
+  }
+
+  /**
+   * Pick the loaded frames around `exactFrame` and how far to blend between them
+   */
+  getSequenceFrames(exactFrame) {
+    // Blend between the nearest loaded frames on either side, so a partially
+    // loaded sequence plays at lower temporal resolution instead of freezing
+    let frameIndex1 = this.findLoadedFrame(Math.floor(exactFrame), -1);
+    let frameIndex2 = this.findLoadedFrame(Math.min(Math.ceil(exactFrame), this.config.totalFrames - 1), 1);
+
+    if (frameIndex1 === -1) frameIndex1 = frameIndex2;
+    if (frameIndex2 === -1) frameIndex2 = frameIndex1;
+    if (frameIndex1 === -1) return null;
+
+    let blendFactor = frameIndex2 > frameIndex1
+      ? (exactFrame - frameIndex1) / (frameIndex2 - frameIndex1)
+      : 0;
+
+    // Lower quality tiers skip the second draw and show the nearer frame
+    if (!this.quality.getSettings().frameBlending) {
+      if (blendFactor >= 0.5) frameIndex1 = frameIndex2;
+      blendFactor = 0;
+    }
+
+    this.touchFrame(frameIndex1);
+    this.touchFrame(frameIndex2);
+
+    return {
+      frameA: this.images[frameIndex1],
+      frameB: this.images[frameIndex2],
+      mix: blendFactor,
+      dynamic: false
+    };
+  }
+
+  /**
+   * Reduced motion: fade from the previous still to the current one
+   */
+  getCrossfadeFrames() {
+    const from = this.getSequenceFrames(this.crossfade.from);
+    const to = this.getSequenceFrames(this.currentFrame);
+
+    if (!from || !to) return to || from;
+
+    return { frameA: from.frameA, frameB: to.frameA, mix: this.crossfade.mix, dynamic: false };
+  }
+
+  /**
+   * Seek the video source and use whatever frame it currently presents
+   */
+  getVideoFrame(exactFrame) {
+    this.videoSource.seekToFrame(exactFrame);
+
+    if (!this.videoSource.isReady()) return null;
+
+    const video = this.videoSource.element;
+    return { frameA: video, frameB: video, mix: 0, dynamic: true };
+  }
+
+  /**
+   * Clear the canvas and run every render pass in order. While the frame
+   * holds still, the passes below the first animated one come from the cache.
+   */
+  composite(exactFrame, source, time) {
+    const ctx = this.ctx;
+    const info = {
+      frame: exactFrame,
+      progress: exactFrame / (this.config.totalFrames - 1),
+      velocity: this.velocity,
+      chapter: this.activeChapter,
+      width: this.canvas.clientWidth, // CSS pixels; ctx is already scaled
+      height: this.canvas.clientHeight,
+      time,
+      source // { frameA, frameB, mix, dynamic }
+    };
+
+    ctx.clearRect(0, 0, info.width, info.height);
+
+    let passes = this.passes;
+    const split = passes.findIndex(pass => pass.animated);
+    const state = split > 0 ? this.getPassCacheState(exactFrame, source) : null;
+
+    if (state) {
+      const below = passes.slice(0, split);
+      passes = passes.slice(split);
+
+      if (this.passCache && this.passCache.ready && this.isPassCacheState(state)) {
+        ctx.save();
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.drawImage(this.passCache.canvas, 0, 0);
+        ctx.restore();
+      } else {
+        this.runPasses(below, info);
+        this.updatePassCache(state);
+      }
+    }
+
+    this.runPasses(passes, info);
+  }
+
+  /**
+   * Run render passes into the canvas, removing any that throw
+   */
+  runPasses(passes, info) {
+    const ctx = this.ctx;
+
+    // Copy: a failing pass is removed mid-iteration
+    [...passes].forEach(pass => {
+      ctx.save();
+
+      try {
+        pass.render(ctx, info);
+      } catch (error) {
+        console.error(`❌ ForestScroller: Render pass "${pass.name}" failed, removing it:`, error);
+        this.removePass(pass);
+      }
+
+      ctx.restore();
+    });
+  }
+
+  /**
+   * What the cacheable passes draw depends on, or null when it changes every
+   * frame (a video, a crop still easing towards the pointer)
+   */
+  getPassCacheState(exactFrame, source) {
+    if (source.dynamic || (this.config.parallax && this.config.parallax.isMoving())) return null;
+
+    return {
+      frame: exactFrame,
+      frameA: source.frameA,
+      frameB: source.frameB,
+      mix: source.mix,
+      width: this.canvas.width,
+      height: this.canvas.height
     };
+  }
 
-    this.animationFrameId = requestAnimationFrame(animate);
+  /**
+   * Whether the cache was drawn for `state`
+   */
+  isPassCacheState(state) {
+    const cached = this.passCache && this.passCache.state;
+    return !!cached && Object.keys(state).every(key => state[key] === cached[key]);
   }
 
   /**
-   * Draw frame with blending for ultra-smooth transitions
+   * Keep what the passes below the first animated one drew, once the frame has
+   * held still for two frames (no copy per frame while scrolling)
    */
-  drawFrameWithBlending(exactFrame) {
-    if (!this.ctx) return;
+  updatePassCache(state) {
+    if (!this.passCache) {
+      this.passCache = { canvas: document.createElement('canvas'), state: null, ready: false };
+    }
 
-    const frameIndex1 = Math.floor(exactFrame);
-    const frameIndex2 = Math.min(Math.ceil(exactFrame), this.config.totalFrames - 1);
-    const blendFactor = exactFrame - frameIndex1;
+    const cache = this.passCache;
+
+    if (!this.isPassCacheState(state)) {
+      cache.state = state;
+      cache.ready = false;
+      return;
+    }
 
-    const img1 = this.images[frameIndex1];
-    const img2 = this.images[frameIndex2];
+    cache.canvas.width = this.canvas.width;
+    cache.canvas.height = this.canvas.height;
+    cache.canvas.getContext('2d').drawImage(this.canvas, 0, 0);
+    cache.ready = true;
+  }
 
-    // Only draw if first frame is fully loaded AND complete
-    if (!img1 || !img1.complete || !img1.naturalWidth) return;
+  /**
+   * Draw the cached passes again on the next frame
+   */
+  invalidatePassCache() {
+    if (this.passCache) {
+      this.passCache.state = null;
+      this.passCache.ready = false;
+    }
+  }
 
+  /**
+   * The built-in 'frames' pass: a crossfade of two frames plus grading, on
+   * the GPU when WebGL is available
+   */
+  renderFrame(source, exactFrame) {
+    const { frameA: img1, frameB: img2, mix: blendFactor, dynamic } = source;
     const canvasWidth = this.canvas.clientWidth;
     const canvasHeight = this.canvas.clientHeight;
 
-    // Clear canvas
-    this.ctx.clearRect(0, 0, canvasWidth, canvasHeight);
-
     // Calculate dimensions for cover behavior
-    const dimensions = this.calculateCoverDimensions(canvasWidth, canvasHeight, img1);
+    const dimensions = this.calculateCoverDimensions(
+      canvasWidth,
+      canvasHeight,
+      img1,
+      this.config.parallax ? this.config.parallax.getCropShift() : null
+    );
+    const grading = this.getDepthGrading(exactFrame);
+
+    if (this.webgl) {
+      try {
+        this.webgl.draw({
+          frameA: img1,
+          frameB: img2,
+          mix: blendFactor,
+          cover: dimensions,
+          width: canvasWidth,
+          height: canvasHeight,
+          grading,
+          dynamic
+        });
+
+        this.ctx.drawImage(this.webgl.canvas, 0, 0, canvasWidth, canvasHeight);
+        return;
+      } catch (error) {
+        // e.g. a frame the GPU can't take as a texture
+        this.fallbackTo2D(error.message);
+      }
+    }
 
     // Draw first frame
     this.ctx.globalAlpha = 1;
     this.ctx.drawImage(img1, dimensions.offsetX, dimensions.offsetY, dimensions.drawWidth, dimensions.drawHeight);
 
-    // Blend second frame ONLY if different, loaded, AND complete
-    if (img2 && frameIndex1 !== frameIndex2 && blendFactor > 0.01 && img2.complete && img2.naturalWidth) {
+    // Blend second frame ONLY if different and visible
+    if (img1 !== img2 && blendFactor > 0.01) {
       this.ctx.globalAlpha = blendFactor;
       this.ctx.drawImage(img2, dimensions.offsetX, dimensions.offsetY, dimensions.drawWidth, dimensions.drawHeight);
     }
@@ -422,21 +1640,110 @@ class ForestScroller {
     this.ctx.globalAlpha = 1;
 
     // Apply subtle depth-based color grading
-    this.applyDepthGrading(exactFrame);
+    this.applyDepthGrading(grading);
+  }
+
+  /**
+   * Find the nearest drawable frame starting at `index` and stepping by `step`
+   * (-1 backwards, 1 forwards). Returns -1 when there is none.
+   */
+  findLoadedFrame(index, step) {
+    for (let i = index; i >= 0 && i < this.config.totalFrames; i += step) {
+      if (this.isFrameReady(this.images[i])) return i;
+    }
+
+    return -1;
+  }
+
+  /**
+   * Whether a frame (ImageBitmap or <img>) can be drawn right now
+   */
+  isFrameReady(frame) {
+    if (!frame) return false;
+
+    // ImageBitmaps are decoded by definition
+    if (typeof ImageBitmap !== 'undefined' && frame instanceof ImageBitmap) {
+      return frame.width > 0;
+    }
+
+    return frame.complete && frame.naturalWidth > 0;
+  }
+
+  /**
+   * Grading parameters at a frame: the global grading, or the blend of the
+   * surrounding chapters' gradings
+   */
+  getGrading(frame) {
+    const stops = this.gradingStops;
+
+    if (stops.length === 0) return this.config.grading;
+    if (frame <= stops[0].frame) return stops[0].grading;
+
+    for (let i = 1; i < stops.length; i++) {
+      const next = stops[i];
+      if (frame < next.frame) {
+        const previous = stops[i - 1];
+        return this.lerpGrading(previous.grading, next.grading, (frame - previous.frame) / (next.frame - previous.frame));
+      }
+    }
+
+    return stops[stops.length - 1].grading;
+  }
+
+  /**
+   * Lay grading parameters over the global and chapter grading (null removes
+   * the override). Survives reinitialize().
+   */
+  setGradingOverride(grading) {
+    this.gradingOverride = grading ? { ...grading } : null;
+    this.requestRender();
+  }
+
+  /**
+   * Interpolate every numeric (and [r, g, b]) grading parameter
+   */
+  lerpGrading(from, to, factor) {
+    const grading = {};
+
+    Object.keys(from).forEach(key => {
+      grading[key] = Array.isArray(from[key])
+        ? from[key].map((value, i) => this.lerp(value, to[key][i], factor))
+        : this.lerp(from[key], to[key], factor);
+    });
+
+    return grading;
   }
 
   /**
-   * Apply depth-based color grading for atmospheric depth
+   * Resolve grading into what the renderers draw: tint deepens along the clip,
+   * motion blur follows the spring's velocity (WebGL only)
    */
-  applyDepthGrading(frame) {
+  getDepthGrading(frame) {
+    const grading = { ...this.getGrading(frame), ...this.gradingOverride };
     const progress = frame / (this.config.totalFrames - 1);
+    const blur = this.quality.getSettings().frameBlending
+      ? Math.min(Math.abs(this.velocity) * grading.motionBlur, 0.05)
+      : 0;
+
+    return {
+      tint: grading.tint,
+      tintOpacity: grading.tintOpacity + progress * grading.depthTintOpacity,
+      glow: grading.glow,
+      glowRadius: grading.glowRadius,
+      blur
+    };
+  }
+
+  /**
+   * Apply depth-based color grading for atmospheric depth (2D path)
+   */
+  applyDepthGrading(grading) {
     const canvasWidth = this.canvas.clientWidth;
     const canvasHeight = this.canvas.clientHeight;
+    const [r, g, b] = grading.tint;
 
-    // Subtle green tint that varies with depth
-    const greenIntensity = 0.03 + progress * 0.02;
-
-    this.ctx.fillStyle = `rgba(27, 94, 32, ${greenIntensity})`;
+    // Subtle tint that varies with depth
+    this.ctx.fillStyle = `rgba(${r}, ${g}, ${b}, ${grading.tintOpacity})`;
     this.ctx.fillRect(0, 0, canvasWidth, canvasHeight);
 
     // Add subtle glow in the center for depth
@@ -446,10 +1753,10 @@ class ForestScroller {
       0,
       canvasWidth / 2,
       canvasHeight / 2,
-      canvasHeight * 0.6
+      canvasHeight * grading.glowRadius
     );
 
-    gradient.addColorStop(0, 'rgba(255, 255, 255, 0.02)');
+    gradient.addColorStop(0, `rgba(255, 255, 255, ${grading.glow})`);
     gradient.addColorStop(1, 'rgba(0, 0, 0, 0)');
 
     this.ctx.fillStyle = gradient;
@@ -457,11 +1764,13 @@ class ForestScroller {
   }
 
   /**
-   * Calculate dimensions for object-fit: cover behavior
+   * Calculate dimensions for object-fit: cover behavior. `shift` ({ x, y, range }
+   * as fractions of the canvas size, see ForestParallax.getCropShift()) pans the
+   * crop; the image is scaled up by `range` on each side so no edge shows.
    */
-  calculateCoverDimensions(canvasWidth, canvasHeight, img) {
+  calculateCoverDimensions(canvasWidth, canvasHeight, img, shift = null) {
     const canvasRatio = canvasWidth / canvasHeight;
-    const imgRatio = img.width / img.height;
+    const imgRatio = (img.videoWidth || img.width) / (img.videoHeight || img.height);
 
     let drawWidth, drawHeight, offsetX, offsetY;
 
@@ -479,6 +1788,18 @@ class ForestScroller {
       offsetY = 0;
     }
 
+    if (shift && shift.range > 0) {
+      const overscan = 1 + shift.range * 2;
+
+      offsetX -= drawWidth * (overscan - 1) / 2;
+      offsetY -= drawHeight * (overscan - 1) / 2;
+      drawWidth *= overscan;
+      drawHeight *= overscan;
+
+      offsetX += shift.x * canvasWidth;
+      offsetY += shift.y * canvasHeight;
+    }
+
     return { drawWidth, drawHeight, offsetX, offsetY };
   }
 
@@ -496,6 +1817,28 @@ class ForestScroller {
     return this.currentFrame / (this.config.totalFrames - 1);
   }
 
+  /**
+   * Draw the frame at `progress` (0-1) synchronously, with no spring and
+   * render passes seeing `time`. The same progress, time, loaded frames and
+   * quality tier always give the same pixels. Stops the render loop.
+   * Returns { frame, progress, source } (see drawFrameWithBlending()).
+   */
+  renderAt(progress, time = 0) {
+    const clampedProgress = Math.max(0, Math.min(progress, 1));
+    const frame = clampedProgress * (this.config.totalFrames - 1);
+
+    this.stopAnimationLoop();
+    this.velocity = 0;
+    this.crossfade = null;
+    this.currentFrame = frame;
+    this.targetFrame = frame;
+    this.invalidatePassCache();
+
+    const source = this.drawFrameWithBlending(frame, time);
+
+    return { frame, progress: clampedProgress, source };
+  }
+
   /**
    * Jump to specific frame
    */
@@ -518,19 +1861,16 @@ class ForestScroller {
    * Pause animation
    */
   pause() {
-    if (this.animationFrameId) {
-      cancelAnimationFrame(this.animationFrameId);
-      this.animationFrameId = null;
-    }
+    this.isPaused = true;
+    this.stopAnimationLoop();
   }
 
   /**
    * Resume animation
    */
   resume() {
-    if (!this.animationFrameId) {
-      this.startAnimationLoop();
-    }
+    this.isPaused = false;
+    this.requestRender();
   }
 
   /**
@@ -539,42 +1879,132 @@ class ForestScroller {
   destroy() {
     console.log('🛑 ForestScroller: Cleaning up...');
 
+    this.teardown();
+
+    this.emit('destroy');
+    this.removeAllListeners();
+    this.passes = [];
+
+    console.log('✅ ForestScroller: Destroyed');
+  }
+
+  /**
+   * Release everything init() created: loop, listeners, timers, observers,
+   * loaders and frames. Leaves event subscriptions alone.
+   */
+  teardown() {
+    // Invalidate in-flight async work
+    this.generation++;
+
     // Cancel animation
-    if (this.animationFrameId) {
-      cancelAnimationFrame(this.animationFrameId);
+    this.stopAnimationLoop();
+
+    // Remove scroll/resize listeners, timers, observers and visibility tracking
+    this.dispose();
+
+    // Stop pending loads
+    this.stopLoading();
+
+    if (this.decoder) {
+      this.decoder.destroy();
+      this.decoder = null;
+    }
+
+    if (this.videoSource) {
+      this.videoSource.destroy();
+      this.videoSource = null;
     }
 
-    // Clear images
+    // Clear images (release decoded bitmaps right away)
+    this.images.forEach(frame => {
+      if (frame && frame.close) frame.close();
+    });
     this.images = [];
     this.loadedImages.clear();
+    this.frameLastUsed.clear();
+    this.evictedFrames.clear();
+    this.failedFrames.clear();
+
+    if (this.webgl) {
+      this.webgl.destroy();
+    }
 
     // Clear canvas
     if (this.ctx && this.canvas) {
       this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+      if (this.canvas.parentElement) {
+        delete this.canvas.parentElement.dataset.forestRange;
+      }
     }
 
     // Remove references
     this.ctx = null;
+    this.webgl = null;
     this.canvas = null;
+  }
 
-    console.log('✅ ForestScroller: Destroyed');
+  /**
+   * Get the name of the chapter the scroll position is in (null without chapters)
+   */
+  getChapter() {
+    return this.activeChapter;
   }
 
   /**
    * Get performance metrics
    */
   getMetrics() {
+    const source = this.frameSources[Math.floor(this.currentFrame)];
+
     return {
       fps: Math.round(this.fps),
+      quality: this.quality ? this.quality.getStats() : null,
+      rendering: this.animationFrameId !== null,
+      suspended: [...this.suspendReasons],
       currentFrame: Math.floor(this.currentFrame),
       totalFrames: this.config.totalFrames,
       loadedFrames: this.loadedCount,
+      residentFrames: this.loadedImages.size,
+      evictedFrames: this.evictedFrames.size,
+      memoryMB: Math.round(this.getResidentBytes() / (1024 * 1024)),
+      memoryBudgetMB: Number.isFinite(this.memoryBudget) ? Math.round(this.memoryBudget / (1024 * 1024)) : null,
+      failedFrames: [...this.failedFrames].sort((a, b) => a - b),
+      loader: this.loader ? this.loader.getStats() : null,
+      source: this.videoSource ? 'video' : 'frames',
+      renderer: this.webgl ? 'webgl' : '2d',
+      passes: this.getPasses(),
+      decoding: this.decoder && !this.decoder.failed ? 'worker' : 'image',
+      variant: this.variant,
+      sourceFrame: source ? source.sourceIndex : null,
       progress: this.getProgress(),
+      scrollRange: { ...this.scrollRange, state: this.rangeState },
+      chapter: this.activeChapter,
+      reducedMotion: this.reducedMotion,
       isMobile: this.isMobile
     };
   }
 }
 
+// Default color grading; override globally with `grading` or per chapter
+ForestScroller.defaultGrading = {
+  tint: [27, 94, 32], // forest green, [r, g, b]
+  tintOpacity: 0.03, // at the start of the clip
+  depthTintOpacity: 0.02, // added by the end of the clip
+  glow: 0.02, // centre glow opacity
+  glowRadius: 0.6, // fraction of the canvas height
+  motionBlur: 0 // zoom blur per frame of spring velocity (WebGL only, 0 = off)
+};
+
+// Easings available to chapters by name
+ForestScroller.easings = {
+  linear: t => t,
+  easeInCubic: t => t * t * t,
+  easeOutCubic: t => 1 - Math.pow(1 - t, 3),
+  easeInOutCubic: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+  easeInOutSine: t => -(Math.cos(Math.PI * t) - 1) / 2
+};
+
 // Export for use in other scripts
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = ForestScroller;
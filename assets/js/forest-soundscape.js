@@ -0,0 +1,421 @@
+/**
+ * ForestSoundscape - Web Audio Forest Ambience
+ * Looped layers (birds, wind, stream) whose gain and filter cutoff follow the
+ * journey. Starts on the first user gesture, remembers mute, and generates
+ * its own sound when audio files are missing.
+ *
+ * @version 1.0.0
+ * @author Greenhouse
+ */
+
+class ForestSoundscape extends ForestEvents {
+  constructor(options = {}) {
+    super();
+
+    this.config = {
+      layers: options.layers || ForestSoundscape.defaultLayers,
+      volume: options.volume !== undefined ? options.volume : 0.6, // master volume
+      toggle: options.toggle || '#sound-toggle', // mute button (element or selector)
+      storageKey: options.storageKey || 'greenhouse-sound', // localStorage key of the mute preference
+      startMuted: options.startMuted || false, // until the visitor chooses
+      smoothing: options.smoothing || 0.4 // s, time constant of gain/filter changes
+    };
+
+    // State
+    this.context = null;
+    this.master = null;
+    this.layers = []; // [{ config, source, filter, gain }]
+    this.toggle = null;
+    this.suspendTimer = null;
+    this.muted = this.loadPreference();
+    this.progress = 0;
+    this.velocity = 0; // 0-1
+
+    this.init();
+  }
+
+  /**
+   * Whether this browser has Web Audio
+   */
+  static isSupported() {
+    return typeof window !== 'undefined' && !!(window.AudioContext || window.webkitAudioContext);
+  }
+
+  /**
+   * Bind the toggle and wait for a gesture (audio may only start from one)
+   */
+  init() {
+    if (!ForestSoundscape.isSupported()) {
+      console.warn('⚠️  ForestSoundscape: Web Audio unavailable, staying silent');
+      return;
+    }
+
+    this.bindToggle();
+
+    const handleGesture = (event) => {
+      // The toggle decides for itself
+      if (this.toggle && this.toggle.contains(event.target)) return;
+      if (!this.muted) this.start();
+    };
+
+    ['pointerdown', 'keydown', 'touchend'].forEach(type => {
+      this.listen(window, type, handleGesture, { passive: true });
+    });
+
+    // Fall silent while the tab is hidden
+    this.watchVisibility(null);
+
+    // Re-created after the visitor already interacted (e.g. reinitialize): no need to wait
+    if (!this.muted && navigator.userActivation && navigator.userActivation.hasBeenActive) {
+      this.start();
+    }
+  }
+
+  /**
+   * Create the audio graph and start the layers (call from a user gesture)
+   */
+  start() {
+    if (this.context) {
+      this.updateRunning();
+      return;
+    }
+
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    this.context = new AudioContextClass();
+
+    this.master = this.context.createGain();
+    this.master.gain.value = 0; // fades in
+    this.master.connect(this.context.destination);
+
+    this.layers = this.config.layers.map(layer => this.createLayer(layer));
+
+    this.applyState();
+    this.updateRunning();
+
+    console.log('🔊 ForestSoundscape: Started');
+    this.emit('start');
+  }
+
+  /**
+   * source -> lowpass filter -> gain -> master. The source is attached once
+   * its audio is loaded (or generated).
+   */
+  createLayer(layer) {
+    const filter = this.context.createBiquadFilter();
+    filter.type = 'lowpass';
+    filter.frequency.value = layer.cutoff[1];
+
+    const gain = this.context.createGain();
+    gain.gain.value = 0;
+
+    filter.connect(gain);
+    gain.connect(this.master);
+
+    const entry = { config: layer, source: null, filter, gain };
+    const context = this.context;
+
+    this.loadBuffer(layer, context).then(buffer => {
+      if (!buffer || this.context !== context) return; // destroyed meanwhile
+
+      const source = context.createBufferSource();
+      source.buffer = buffer;
+      source.loop = true;
+      source.connect(filter);
+      source.start(0, Math.random() * buffer.duration); // layers don't loop in step
+
+      entry.source = source;
+    }).catch(error => {
+      if (this.context === context) {
+        console.warn(`⚠️  ForestSoundscape: "${layer.name}" layer unavailable:`, (error && error.message) || error);
+      }
+    });
+
+    return entry;
+  }
+
+  /**
+   * Decode the layer's audio file, or generate its sound (no `url`, or the
+   * file is missing). Resolves to null when `context` was destroyed meanwhile.
+   */
+  async loadBuffer(layer, context) {
+    if (layer.url) {
+      try {
+        const response = await fetch(layer.url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+        const data = await response.arrayBuffer();
+        if (this.context !== context) return null;
+
+        // Callback form: older Safari doesn't return a promise
+        return await new Promise((resolve, reject) => context.decodeAudioData(data, resolve, reject));
+      } catch (error) {
+        if (this.context !== context) return null;
+        console.warn(`⚠️  ForestSoundscape: "${layer.name}" audio unavailable, generating it:`, (error && error.message) || error);
+      }
+    }
+
+    const generate = ForestSoundscape.generators[layer.fallback] || ForestSoundscape.generators.wind;
+    return generate(context);
+  }
+
+  /**
+   * Follow the journey: progress 0-1, velocity 0-1
+   */
+  setState({ progress, velocity }) {
+    this.progress = progress;
+    this.velocity = velocity;
+    this.applyState();
+  }
+
+  /**
+   * Gain and cutoff of a layer: loudest around its `peak` progress (fading out
+   * over `width`), plus `velocityGain` while scrolling. The filter opens near
+   * the peak and with speed.
+   */
+  getLayerLevels(layer) {
+    const proximity = Math.max(0, 1 - Math.abs(this.progress - layer.peak) / layer.width);
+    const gain = layer.volume * proximity + layer.velocityGain * this.velocity;
+    const openness = Math.min(1, proximity * 0.5 + this.velocity);
+    const [minCutoff, maxCutoff] = layer.cutoff;
+
+    return {
+      gain: Math.max(0, Math.min(1, gain)),
+      cutoff: minCutoff * Math.pow(maxCutoff / minCutoff, openness) // even steps in pitch
+    };
+  }
+
+  /**
+   * Glide every layer towards its levels
+   */
+  applyState() {
+    if (!this.context) return;
+
+    const now = this.context.currentTime;
+
+    this.layers.forEach(layer => {
+      const { gain, cutoff } = this.getLayerLevels(layer.config);
+      layer.gain.gain.setTargetAtTime(gain, now, this.config.smoothing);
+      layer.filter.frequency.setTargetAtTime(cutoff, now, this.config.smoothing);
+    });
+  }
+
+  /**
+   * Fade in when audible; fade out and suspend the audio thread when muted or hidden
+   */
+  updateRunning() {
+    if (!this.context) return;
+
+    const now = this.context.currentTime;
+    clearTimeout(this.suspendTimer);
+
+    if (!this.muted && !this.isSuspended()) {
+      this.context.resume().catch(() => {});
+      this.master.gain.setTargetAtTime(this.config.volume, now, 0.5);
+    } else {
+      this.master.gain.setTargetAtTime(0, now, 0.1);
+      this.suspendTimer = setTimeout(() => this.context && this.context.suspend().catch(() => {}), 500);
+    }
+  }
+
+  /**
+   * Page hidden / visible again
+   */
+  onSuspendChange() {
+    this.updateRunning();
+  }
+
+  /**
+   * Mute or unmute and remember the choice
+   */
+  setMuted(muted) {
+    this.muted = muted;
+    this.savePreference();
+    this.updateToggle();
+
+    if (muted) {
+      this.updateRunning();
+    } else {
+      this.start(); // unmuting is a user gesture
+    }
+
+    this.emit('mute', { muted });
+  }
+
+  /**
+   * Flip the mute state
+   */
+  toggleMuted() {
+    this.setMuted(!this.muted);
+  }
+
+  /**
+   * Stored preference, or `startMuted` when there is none
+   */
+  loadPreference() {
+    try {
+      const stored = localStorage.getItem(this.config.storageKey);
+      if (stored !== null) return stored === 'off';
+    } catch (error) {
+      // Storage blocked (e.g. privacy mode): fall through to the default
+    }
+
+    return this.config.startMuted;
+  }
+
+  /**
+   * Persist the mute preference
+   */
+  savePreference() {
+    try {
+      localStorage.setItem(this.config.storageKey, this.muted ? 'off' : 'on');
+    } catch (error) {
+      // Not persisted; the toggle still works for this visit
+    }
+  }
+
+  /**
+   * Wire up the mute button (a <button> with aria-pressed = sound on)
+   */
+  bindToggle() {
+    const toggle = typeof this.config.toggle === 'string'
+      ? document.querySelector(this.config.toggle)
+      : this.config.toggle;
+
+    if (!toggle) return;
+
+    this.toggle = toggle;
+    this.toggle.hidden = false;
+    this.listen(toggle, 'click', () => this.toggleMuted());
+    this.updateToggle();
+  }
+
+  /**
+   * Reflect the mute state on the button
+   */
+  updateToggle() {
+    if (!this.toggle) return;
+
+    this.toggle.setAttribute('aria-pressed', String(!this.muted));
+    this.toggle.classList.toggle('is-muted', this.muted);
+    this.toggle.title = this.muted ? 'Turn forest sound on' : 'Turn forest sound off';
+  }
+
+  /**
+   * Stop the audio, detach listeners and hide the toggle
+   */
+  destroy() {
+    clearTimeout(this.suspendTimer);
+    this.dispose();
+
+    if (this.context) {
+      this.layers.forEach(layer => {
+        if (layer.source) layer.source.stop();
+      });
+      this.context.close().catch(() => {});
+    }
+
+    if (this.toggle) {
+      this.toggle.hidden = true;
+    }
+
+    this.context = null;
+    this.master = null;
+    this.layers = [];
+    this.toggle = null;
+
+    this.emit('destroy');
+    this.removeAllListeners();
+  }
+
+  /**
+   * A mono AudioBuffer of `seconds` that loops without a click: `fill` writes
+   * a little extra, which is crossfaded into the start
+   */
+  static createLoop(context, seconds, fill) {
+    const rate = context.sampleRate;
+    const length = Math.floor(seconds * rate);
+    const fade = Math.floor(0.1 * rate);
+    const samples = new Float32Array(length + fade);
+
+    fill(samples, rate);
+
+    for (let i = 0; i < fade; i++) {
+      const t = i / fade;
+      samples[i] = samples[i] * t + samples[length + i] * (1 - t);
+    }
+
+    const buffer = context.createBuffer(1, length, rate);
+    buffer.getChannelData(0).set(samples.subarray(0, length));
+    return buffer;
+  }
+}
+
+/**
+ * Layers: loudest at `peak` progress, silent `width` away from it. `fallback`
+ * names the generator used without a `url` (the defaults ship no audio files)
+ * or when it can't be loaded.
+ */
+ForestSoundscape.defaultLayers = [
+  { name: 'birds', url: null, fallback: 'birds', volume: 0.5, peak: 0.15, width: 0.7, velocityGain: -0.3, cutoff: [3000, 12000] },
+  { name: 'wind', url: null, fallback: 'wind', volume: 0.3, peak: 0.6, width: 1, velocityGain: 0.5, cutoff: [300, 2500] },
+  { name: 'stream', url: null, fallback: 'stream', volume: 0.35, peak: 0.75, width: 0.35, velocityGain: 0, cutoff: [800, 6000] }
+];
+
+/**
+ * Procedural stand-ins for missing audio files
+ */
+ForestSoundscape.generators = {
+  // Brown noise: a low rush the layer's filter shapes into wind
+  wind: (context) => ForestSoundscape.createLoop(context, 6, (samples) => {
+    let last = 0;
+    for (let i = 0; i < samples.length; i++) {
+      last = (last + 0.02 * (Math.random() * 2 - 1)) / 1.02;
+      samples[i] = last * 3.5;
+    }
+  }),
+
+  // Pink noise with a gentle babble
+  stream: (context) => ForestSoundscape.createLoop(context, 6, (samples, rate) => {
+    let b0 = 0;
+    let b1 = 0;
+    let b2 = 0;
+    for (let i = 0; i < samples.length; i++) {
+      const white = Math.random() * 2 - 1;
+      b0 = 0.99765 * b0 + white * 0.0990460;
+      b1 = 0.96300 * b1 + white * 0.2965164;
+      b2 = 0.57000 * b2 + white * 1.0526913;
+      const babble = 0.8 + 0.2 * Math.sin(2 * Math.PI * 3.3 * i / rate) * Math.sin(2 * Math.PI * 0.7 * i / rate);
+      samples[i] = (b0 + b1 + b2 + white * 0.1848) * 0.05 * babble;
+    }
+  }),
+
+  // Scattered phrases of short, sweeping chirps
+  birds: (context) => ForestSoundscape.createLoop(context, 8, (samples, rate) => {
+    const phrases = 5;
+
+    for (let p = 0; p < phrases; p++) {
+      let start = Math.floor(Math.random() * (samples.length - rate));
+      const notes = 3 + Math.floor(Math.random() * 4);
+      const pitch = 2500 + Math.random() * 2000;
+
+      for (let n = 0; n < notes; n++) {
+        const duration = Math.floor((0.06 + Math.random() * 0.06) * rate);
+        const sweep = Math.random() > 0.5 ? 1.3 : 0.75;
+        let phase = 0;
+
+        for (let i = 0; i < duration && start + i < samples.length; i++) {
+          const t = i / duration;
+          phase += 2 * Math.PI * pitch * (1 + (sweep - 1) * t) / rate;
+          samples[start + i] += Math.sin(phase) * Math.sin(Math.PI * t) * 0.25;
+        }
+
+        start += duration + Math.floor(0.04 * rate);
+      }
+    }
+  })
+};
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ForestSoundscape;
+}
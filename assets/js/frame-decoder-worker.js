@@ -0,0 +1,51 @@
+/**
+ * Frame Decoder Worker
+ * Fetches frames and decodes them to ImageBitmaps off the main thread
+ *
+ * @version 1.0.0
+ * @author Greenhouse
+ */
+
+const controllers = new Map(); // request id -> AbortController
+
+self.onmessage = async (event) => {
+  const { type, id, url } = event.data;
+
+  if (type === 'abort') {
+    const controller = controllers.get(id);
+    if (controller) {
+      controller.abort();
+      controllers.delete(id);
+    }
+    return;
+  }
+
+  if (type !== 'decode') return;
+
+  // Nothing to do here without createImageBitmap: hand loading back to the main thread
+  if (typeof createImageBitmap !== 'function') {
+    self.postMessage({ type: 'error', id, fatal: true, message: 'createImageBitmap unavailable in worker' });
+    return;
+  }
+
+  const controller = new AbortController();
+  controllers.set(id, controller);
+
+  try {
+    const response = await fetch(url, { signal: controller.signal });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const blob = await response.blob();
+    const bitmap = await createImageBitmap(blob);
+
+    self.postMessage({ type: 'frame', id, bitmap }, [bitmap]);
+  } catch (error) {
+    if (!controller.signal.aborted) {
+      self.postMessage({ type: 'error', id, fatal: false, message: error.message });
+    }
+  } finally {
+    controllers.delete(id);
+  }
+};
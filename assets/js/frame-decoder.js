@@ -0,0 +1,127 @@
+/**
+ * FrameDecoder - Off-main-thread Frame Decoding
+ * Main-thread client for frame-decoder-worker.js, resolves frames as ImageBitmaps
+ *
+ * @version 1.0.0
+ * @author Greenhouse
+ */
+
+class FrameDecoder {
+  constructor(options = {}) {
+    this.config = {
+      workerUrl: options.workerUrl || 'assets/js/frame-decoder-worker.js'
+    };
+
+    this.pending = new Map(); // request id -> { resolve, reject }
+    this.nextId = 1;
+    this.failed = false;
+
+    this.worker = new Worker(this.config.workerUrl);
+    this.worker.onmessage = (event) => this.handleMessage(event.data);
+    this.worker.onerror = (event) => {
+      event.preventDefault();
+      this.fail(new Error(`Frame decoder worker error: ${event.message || 'unknown'}`));
+    };
+  }
+
+  /**
+   * Whether this browser can decode frames in a worker
+   */
+  static isSupported() {
+    return typeof Worker !== 'undefined' && typeof createImageBitmap === 'function';
+  }
+
+  /**
+   * Fetch and decode a frame, resolving with an ImageBitmap
+   */
+  decode(url, signal) {
+    return new Promise((resolve, reject) => {
+      if (this.failed) {
+        reject(new Error('Frame decoder unavailable'));
+        return;
+      }
+
+      const id = this.nextId++;
+
+      const handleAbort = () => {
+        if (!this.pending.has(id)) return;
+
+        this.pending.delete(id);
+        this.worker.postMessage({ type: 'abort', id });
+        reject(new DOMException('Frame decode aborted', 'AbortError'));
+      };
+
+      // The signal outlives the request (it covers the frame's retries too)
+      const settle = callback => value => {
+        if (signal) signal.removeEventListener('abort', handleAbort);
+        callback(value);
+      };
+
+      this.pending.set(id, { resolve: settle(resolve), reject: settle(reject) });
+
+      if (signal) {
+        signal.addEventListener('abort', handleAbort, { once: true });
+      }
+
+      // Workers resolve relative URLs against their own script, not the page
+      this.worker.postMessage({ type: 'decode', id, url: new URL(url, document.baseURI).href });
+    });
+  }
+
+  /**
+   * Route a worker reply to its pending request
+   */
+  handleMessage(data) {
+    const request = this.pending.get(data.id);
+
+    if (data.type === 'error' && data.fatal) {
+      this.fail(new Error(data.message));
+      return;
+    }
+
+    if (!request) {
+      // Aborted meanwhile
+      if (data.bitmap) data.bitmap.close();
+      return;
+    }
+
+    this.pending.delete(data.id);
+
+    if (data.type === 'frame') {
+      request.resolve(data.bitmap);
+    } else {
+      request.reject(new Error(data.message));
+    }
+  }
+
+  /**
+   * Mark the worker unusable and reject everything in flight
+   */
+  fail(error) {
+    if (this.failed) return;
+
+    console.warn('⚠️  Worker decoding unavailable, falling back to <img>:', error.message);
+    this.failed = true;
+    this.worker.terminate();
+
+    this.pending.forEach(request => request.reject(error));
+    this.pending.clear();
+  }
+
+  /**
+   * Terminate the worker; requests in flight reject with an AbortError
+   */
+  destroy() {
+    this.failed = true; // no new requests
+    this.worker.terminate();
+
+    const error = new DOMException('Frame decoder destroyed', 'AbortError');
+    this.pending.forEach(request => request.reject(error));
+    this.pending.clear();
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FrameDecoder;
+}
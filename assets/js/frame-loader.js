@@ -0,0 +1,267 @@
+/**
+ * FrameLoader - Prioritized Frame Fetch Scheduler
+ * Concurrency-capped loading queue that follows the scroll target
+ *
+ * @version 1.0.0
+ * @author Greenhouse
+ */
+
+class FrameLoader {
+  constructor(options = {}) {
+    this.config = {
+      loadFrame: options.loadFrame, // (index, signal) => Promise
+      isLoaded: options.isLoaded || (() => false),
+      canPrefetch: options.canPrefetch || (() => true), // false: only the window around the target (e.g. memory is full)
+      concurrency: options.concurrency || null, // null = derive from connection
+      lookahead: options.lookahead || 5,
+      keyframeInterval: options.keyframeInterval || 16 // coarsest loading pass (power of two)
+    };
+
+    // State
+    this.queue = new Set();
+    this.active = new Map(); // frame index -> AbortController
+    this.target = 0;
+    this.direction = 1;
+    this.profile = null;
+
+    this.connection = navigator.connection || navigator.mozConnection || navigator.webkitConnection || null;
+    this.handleConnectionChange = () => {
+      this.updateProfile();
+      this.pump();
+    };
+
+    this.updateProfile();
+
+    if (this.connection && this.connection.addEventListener) {
+      this.connection.addEventListener('change', this.handleConnectionChange);
+    }
+  }
+
+  /**
+   * Derive concurrency and fetch window from Network Information / Save-Data hints
+   */
+  updateProfile() {
+    const connection = this.connection || {};
+    const lookahead = this.config.lookahead;
+    const effectiveType = connection.effectiveType || '4g';
+    let profile;
+
+    if (connection.saveData || effectiveType === 'slow-2g' || effectiveType === '2g') {
+      // Only what the user is about to see
+      profile = {
+        name: connection.saveData ? 'save-data' : effectiveType,
+        concurrency: 2,
+        lookahead,
+        lookbehind: 1,
+        prefetchAll: false
+      };
+    } else if (effectiveType === '3g' || (connection.downlink && connection.downlink < 1.5)) {
+      profile = {
+        name: '3g',
+        concurrency: 3,
+        lookahead: lookahead * 3,
+        lookbehind: lookahead,
+        prefetchAll: false
+      };
+    } else {
+      // Fast connection: stream the whole sequence, nearest frames first
+      profile = {
+        name: effectiveType,
+        concurrency: 6,
+        lookahead: lookahead * 4,
+        lookbehind: lookahead * 2,
+        prefetchAll: true
+      };
+    }
+
+    if (this.config.concurrency) {
+      profile.concurrency = this.config.concurrency;
+    }
+
+    this.profile = profile;
+  }
+
+  /**
+   * Add frames to the queue
+   */
+  enqueue(indices) {
+    indices.forEach(index => {
+      if (!this.config.isLoaded(index) && !this.active.has(index)) {
+        this.queue.add(index);
+      }
+    });
+
+    this.pump();
+  }
+
+  /**
+   * Move the loading focus to a new frame
+   */
+  setTarget(index) {
+    if (index > this.target) {
+      this.direction = 1;
+    } else if (index < this.target) {
+      this.direction = -1;
+    }
+
+    this.target = index;
+
+    this.preempt();
+    this.pump();
+  }
+
+  /**
+   * Whether to stream the whole sequence right now
+   */
+  canPrefetchAll() {
+    return this.profile.prefetchAll && this.config.canPrefetch();
+  }
+
+  /**
+   * Whether a frame falls inside the current fetch window
+   */
+  isWanted(index, prefetchAll = this.canPrefetchAll()) {
+    if (prefetchAll) return true;
+
+    const offset = (index - this.target) * this.direction;
+    return offset >= -this.profile.lookbehind && offset <= this.profile.lookahead;
+  }
+
+  /**
+   * Refinement level of a frame: 0 for every keyframeInterval-th frame,
+   * then 1 for the halfway frames, and so on down to every frame
+   */
+  getLevel(index) {
+    let level = 0;
+
+    for (let step = this.config.keyframeInterval; step > 1; step /= 2) {
+      if (index % step === 0) return level;
+      level++;
+    }
+
+    return level;
+  }
+
+  /**
+   * Lower is sooner. Frames right around the target load first; beyond that the
+   * sequence fills in coarse-to-fine so the whole clip is playable early.
+   * Frames behind the scroll direction cost double.
+   */
+  getPriority(index) {
+    const offset = (index - this.target) * this.direction;
+    const distance = offset >= 0 ? offset : -offset * 2;
+
+    if (distance <= this.config.lookahead) {
+      return distance;
+    }
+
+    // Any coarser level outranks every finer one, whatever the distance
+    return this.config.lookahead + 1 + this.getLevel(index) * 1e6 + distance;
+  }
+
+  /**
+   * Pick the most urgent wanted frame from the queue
+   */
+  nextIndex() {
+    const prefetchAll = this.canPrefetchAll();
+    let best = null;
+    let bestPriority = Infinity;
+
+    for (const index of this.queue) {
+      if (this.config.isLoaded(index)) {
+        this.queue.delete(index);
+        continue;
+      }
+
+      if (!this.isWanted(index, prefetchAll)) continue;
+
+      const priority = this.getPriority(index);
+      if (priority < bestPriority) {
+        best = index;
+        bestPriority = priority;
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Start loads until the concurrency cap is reached
+   */
+  pump() {
+    while (this.active.size < this.profile.concurrency) {
+      const index = this.nextIndex();
+      if (index === null) break;
+      this.start(index);
+    }
+  }
+
+  /**
+   * Start loading a single frame
+   */
+  start(index) {
+    const controller = new AbortController();
+
+    this.queue.delete(index);
+    this.active.set(index, controller);
+
+    Promise.resolve()
+      .then(() => this.config.loadFrame(index, controller.signal))
+      .catch(() => {
+        // Failures are reported by loadFrame itself
+      })
+      .then(() => {
+        if (this.active.get(index) === controller) {
+          this.active.delete(index);
+          this.pump();
+        }
+      });
+  }
+
+  /**
+   * Abort in-flight loads that left the fetch window so nearer frames get the slots
+   */
+  preempt() {
+    if (this.active.size < this.profile.concurrency || this.nextIndex() === null) return;
+
+    const prefetchAll = this.canPrefetchAll();
+
+    this.active.forEach((controller, index) => {
+      if (!this.isWanted(index, prefetchAll)) {
+        controller.abort();
+        this.active.delete(index);
+        this.queue.add(index);
+      }
+    });
+  }
+
+  /**
+   * Get scheduler stats
+   */
+  getStats() {
+    return {
+      profile: this.profile.name,
+      concurrency: this.profile.concurrency,
+      active: this.active.size,
+      queued: this.queue.size
+    };
+  }
+
+  /**
+   * Abort everything and detach listeners
+   */
+  destroy() {
+    this.active.forEach(controller => controller.abort());
+    this.active.clear();
+    this.queue.clear();
+
+    if (this.connection && this.connection.removeEventListener) {
+      this.connection.removeEventListener('change', this.handleConnectionChange);
+    }
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FrameLoader;
+}
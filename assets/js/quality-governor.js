@@ -0,0 +1,143 @@
+/**
+ * QualityGovernor - Adaptive Rendering Quality
+ * Watches frame times and steps quality tiers down (and back up) to hold frame rate
+ *
+ * @version 1.0.0
+ * @author Greenhouse
+ */
+
+class QualityGovernor extends ForestEvents {
+  constructor(options = {}) {
+    super();
+
+    this.config = {
+      adaptive: options.adaptive !== false, // false = stay on initialTier
+      initialTier: options.initialTier || 0,
+      minFps: options.minFps || 45, // step down when sustained below this
+      upgradeFps: options.upgradeFps || 57, // step up when sustained at or above this
+      downgradeAfter: options.downgradeAfter || 1000, // ms of slow frames before stepping down
+      upgradeAfter: options.upgradeAfter || 5000, // ms of fast frames before stepping up
+      maxUpgradeAfter: options.maxUpgradeAfter || 60000
+    };
+
+    // State
+    this.level = Math.max(0, Math.min(this.config.initialTier, QualityGovernor.tiers.length - 1));
+    this.lastTimestamp = 0;
+    this.averageDelta = 0;
+    this.fps = 60;
+    this.slowTime = 0;
+    this.fastTime = 0;
+    this.upgradeAfter = this.config.upgradeAfter;
+    this.lastUpgradeTime = 0;
+  }
+
+  /**
+   * Feed a requestAnimationFrame timestamp. Layers sharing a governor all call
+   * this; callbacks from the same frame share a timestamp and count once.
+   */
+  sample(timestamp) {
+    if (!timestamp || timestamp === this.lastTimestamp) return;
+
+    const delta = this.lastTimestamp ? timestamp - this.lastTimestamp : 0;
+    this.lastTimestamp = timestamp;
+
+    // First frame after a pause, or a tab switch: not a measurement
+    if (delta <= 0 || delta > 250) return;
+
+    this.averageDelta = this.averageDelta ? this.averageDelta * 0.9 + delta * 0.1 : delta;
+    this.fps = 1000 / this.averageDelta;
+
+    if (!this.config.adaptive) return;
+
+    if (this.fps < this.config.minFps) {
+      this.slowTime += delta;
+      this.fastTime = 0;
+    } else if (this.fps >= this.config.upgradeFps) {
+      this.fastTime += delta;
+      this.slowTime = 0;
+    } else {
+      this.slowTime = 0;
+      this.fastTime = 0;
+    }
+
+    if (this.slowTime >= this.config.downgradeAfter) {
+      // Stepping up didn't hold: wait longer before trying again
+      if (this.lastUpgradeTime && timestamp - this.lastUpgradeTime < this.upgradeAfter) {
+        this.upgradeAfter = Math.min(this.upgradeAfter * 2, this.config.maxUpgradeAfter);
+      }
+
+      this.setTier(this.level + 1);
+    } else if (this.fastTime >= this.upgradeAfter && this.level > 0) {
+      this.lastUpgradeTime = timestamp;
+      this.setTier(this.level - 1);
+    }
+  }
+
+  /**
+   * Forget the last timestamp so a paused loop doesn't read as one long frame
+   */
+  resetClock() {
+    this.lastTimestamp = 0;
+  }
+
+  /**
+   * Switch to a tier (index into QualityGovernor.tiers or tier name)
+   */
+  setTier(tier) {
+    const level = typeof tier === 'string'
+      ? QualityGovernor.tiers.findIndex(t => t.name === tier)
+      : tier;
+
+    if (level < 0 || level >= QualityGovernor.tiers.length || level === this.level) return;
+
+    const previous = this.getSettings().name;
+    this.level = level;
+    this.slowTime = 0;
+    this.fastTime = 0;
+
+    console.log(`🎚️ QualityGovernor: ${previous} → ${this.getSettings().name} (${Math.round(this.fps)} fps)`);
+
+    this.emit('change', { tier: this.getSettings().name, previous, settings: this.getSettings() });
+  }
+
+  /**
+   * Current tier settings
+   */
+  getSettings() {
+    return QualityGovernor.tiers[this.level];
+  }
+
+  /**
+   * Get governor stats
+   */
+  getStats() {
+    return {
+      tier: this.getSettings().name,
+      level: this.level,
+      fps: Math.round(this.fps),
+      adaptive: this.config.adaptive
+    };
+  }
+
+  /**
+   * Detach all listeners
+   */
+  destroy() {
+    this.removeAllListeners();
+  }
+}
+
+/**
+ * Quality tiers, best first. Each step gives up one more expensive effect.
+ */
+QualityGovernor.tiers = [
+  { name: 'high', frameBlending: true, particleScale: 1, lightRays: true, pixelRatioScale: 1 },
+  { name: 'medium', frameBlending: false, particleScale: 1, lightRays: true, pixelRatioScale: 1 },
+  { name: 'low', frameBlending: false, particleScale: 0.5, lightRays: false, pixelRatioScale: 1 },
+  { name: 'minimal', frameBlending: false, particleScale: 0.5, lightRays: false, pixelRatioScale: 0.5 }
+];
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = QualityGovernor;
+}
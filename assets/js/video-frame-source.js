@@ -0,0 +1,145 @@
+/**
+ * VideoFrameSource - Scrubbable Video Frame Source
+ * Downloads a clip once and seeks it frame-by-frame for canvas drawing
+ *
+ * @version 1.0.0
+ * @author Greenhouse
+ */
+
+class VideoFrameSource {
+  constructor(options = {}) {
+    this.config = {
+      url: options.url,
+      frameRate: options.frameRate || 24,
+      onFrame: options.onFrame || null // called when a seeked frame is ready to draw
+    };
+
+    this.element = null;
+    this.objectUrl = null;
+    this.duration = 0;
+    this.frameCount = 0;
+    this.pendingTime = null;
+    this.frameCallbackId = null;
+    this.supportsFrameCallback = typeof HTMLVideoElement !== 'undefined' &&
+      'requestVideoFrameCallback' in HTMLVideoElement.prototype;
+
+    this.handleSeeked = () => this.onSeeked();
+  }
+
+  /**
+   * Download the clip and wait for its first frame
+   */
+  async load() {
+    // One download for the whole clip; a Blob URL keeps every seek local
+    const response = await fetch(this.config.url);
+    if (!response.ok) {
+      throw new Error(`Failed to load video ${this.config.url} (${response.status})`);
+    }
+
+    this.objectUrl = URL.createObjectURL(await response.blob());
+
+    const video = document.createElement('video');
+    video.muted = true;
+    video.playsInline = true;
+    video.preload = 'auto';
+    video.src = this.objectUrl;
+    this.element = video;
+
+    await new Promise((resolve, reject) => {
+      video.addEventListener('loadeddata', resolve, { once: true });
+      video.addEventListener('error', () => {
+        reject(new Error(`Failed to decode video ${this.config.url}`));
+      }, { once: true });
+    });
+
+    this.duration = video.duration;
+    this.frameCount = Math.max(2, Math.round(this.duration * this.config.frameRate));
+
+    video.addEventListener('seeked', this.handleSeeked);
+  }
+
+  /**
+   * Seek to a (fractional) frame index in [0, frameCount - 1]
+   */
+  seekToFrame(frame) {
+    if (!this.element) return;
+
+    // Stay just short of the end; seeking to `duration` can show a blank frame
+    const time = Math.min((frame / (this.frameCount - 1)) * this.duration, this.duration - 0.001);
+
+    if (this.element.seeking) {
+      this.pendingTime = time;
+      return;
+    }
+
+    if (Math.abs(this.element.currentTime - time) < 0.5 / this.config.frameRate) return;
+
+    this.element.currentTime = time;
+    this.watchFrame();
+  }
+
+  /**
+   * Notify onFrame once the seeked frame is actually presented
+   */
+  watchFrame() {
+    if (!this.supportsFrameCallback || this.frameCallbackId !== null) return;
+
+    this.frameCallbackId = this.element.requestVideoFrameCallback(() => {
+      this.frameCallbackId = null;
+      if (this.config.onFrame) this.config.onFrame();
+    });
+  }
+
+  /**
+   * Handle seek completion (and catch up with seeks requested meanwhile)
+   */
+  onSeeked() {
+    if (!this.supportsFrameCallback && this.config.onFrame) {
+      this.config.onFrame();
+    }
+
+    if (this.pendingTime !== null) {
+      const time = this.pendingTime;
+      this.pendingTime = null;
+
+      if (Math.abs(this.element.currentTime - time) >= 0.5 / this.config.frameRate) {
+        this.element.currentTime = time;
+        this.watchFrame();
+      }
+    }
+  }
+
+  /**
+   * Whether the current frame can be drawn
+   */
+  isReady() {
+    return !!this.element && this.element.readyState >= 2; // HAVE_CURRENT_DATA
+  }
+
+  /**
+   * Release the video and its Blob URL
+   */
+  destroy() {
+    if (this.element) {
+      if (this.frameCallbackId !== null) {
+        this.element.cancelVideoFrameCallback(this.frameCallbackId);
+        this.frameCallbackId = null;
+      }
+
+      this.element.removeEventListener('seeked', this.handleSeeked);
+      this.element.removeAttribute('src');
+      this.element.load();
+      this.element = null;
+    }
+
+    if (this.objectUrl) {
+      URL.revokeObjectURL(this.objectUrl);
+      this.objectUrl = null;
+    }
+  }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = VideoFrameSource;
+}
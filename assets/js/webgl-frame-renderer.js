@@ -0,0 +1,250 @@
+/**
+ * WebGLFrameRenderer - Shader-based Frame Compositing
+ * Uploads frames as textures; crossfade, depth tint, glow and motion blur
+ * happen in a single fragment shader pass. Renders into its own canvas,
+ * which ForestScroller draws into the visible one.
+ *
+ * @version 1.0.0
+ * @author Greenhouse
+ */
+
+class WebGLFrameRenderer {
+  constructor(canvas, options = {}) {
+    this.canvas = canvas;
+    this.maxTextures = options.maxTextures || 4; // the two blended frames plus neighbours
+
+    this.gl = canvas.getContext('webgl', {
+      alpha: false,
+      antialias: false,
+      depth: false,
+      premultipliedAlpha: false,
+      desynchronized: true
+    });
+
+    if (!this.gl) {
+      throw new Error('WebGL unavailable');
+    }
+
+    // State
+    this.textures = new Map(); // frame source -> WebGLTexture (oldest first)
+
+    this.program = this.createProgram(WebGLFrameRenderer.vertexShader, WebGLFrameRenderer.fragmentShader);
+    this.locations = this.getLocations([
+      'u_resolution', 'u_cover', 'u_frameA', 'u_frameB', 'u_mix',
+      'u_tint', 'u_glow', 'u_glowRadius', 'u_blur'
+    ]);
+
+    this.createQuad();
+  }
+
+  /**
+   * Compile and link the shader program
+   */
+  createProgram(vertexSource, fragmentSource) {
+    const gl = this.gl;
+    const program = gl.createProgram();
+
+    [[gl.VERTEX_SHADER, vertexSource], [gl.FRAGMENT_SHADER, fragmentSource]].forEach(([type, source]) => {
+      const shader = gl.createShader(type);
+      gl.shaderSource(shader, source);
+      gl.compileShader(shader);
+
+      if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        throw new Error(`Shader compile failed: ${gl.getShaderInfoLog(shader)}`);
+      }
+
+      gl.attachShader(program, shader);
+      gl.deleteShader(shader); // freed once the program is deleted
+    });
+
+    gl.linkProgram(program);
+
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+      throw new Error(`Shader link failed: ${gl.getProgramInfoLog(program)}`);
+    }
+
+    gl.useProgram(program);
+    return program;
+  }
+
+  /**
+   * Look up uniform locations by name
+   */
+  getLocations(names) {
+    const locations = {};
+    names.forEach(name => {
+      locations[name] = this.gl.getUniformLocation(this.program, name);
+    });
+    return locations;
+  }
+
+  /**
+   * Full-canvas quad (two triangles) in 0..1 coordinates, y down
+   */
+  createQuad() {
+    const gl = this.gl;
+
+    this.quad = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.quad);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([0, 0, 1, 0, 0, 1, 0, 1, 1, 0, 1, 1]), gl.STATIC_DRAW);
+
+    const position = gl.getAttribLocation(this.program, 'a_position');
+    gl.enableVertexAttribArray(position);
+    gl.vertexAttribPointer(position, 2, gl.FLOAT, false, 0, 0);
+
+    gl.uniform1i(this.locations.u_frameA, 0);
+    gl.uniform1i(this.locations.u_frameB, 1);
+  }
+
+  /**
+   * Resize the drawing buffer (device pixels)
+   */
+  resize(width, height) {
+    this.canvas.width = width;
+    this.canvas.height = height;
+    this.gl.viewport(0, 0, width, height);
+  }
+
+  /**
+   * Bind a frame's texture to the active unit, uploading it if it isn't cached.
+   * Dynamic sources (video) are re-uploaded every time.
+   */
+  bindTexture(source, dynamic) {
+    const gl = this.gl;
+    let texture = this.textures.get(source);
+
+    if (texture) {
+      // Most recently used goes last
+      this.textures.delete(source);
+      this.textures.set(source, texture);
+      gl.bindTexture(gl.TEXTURE_2D, texture);
+
+      if (!dynamic) return;
+    } else {
+      if (this.textures.size >= this.maxTextures) {
+        // Recycle the least recently used texture
+        const [oldest, recycled] = this.textures.entries().next().value;
+        this.textures.delete(oldest);
+        texture = recycled;
+      } else {
+        texture = gl.createTexture();
+      }
+
+      this.textures.set(source, texture);
+      gl.bindTexture(gl.TEXTURE_2D, texture);
+
+      // Non-power-of-two frames: no mipmaps, no repeat
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+      gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    }
+
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGB, gl.RGB, gl.UNSIGNED_BYTE, source);
+  }
+
+  /**
+   * Draw a graded crossfade of two frames.
+   * cover: { offsetX, offsetY, drawWidth, drawHeight } in CSS pixels
+   * grading: { tint: [r, g, b], tintOpacity, glow, glowRadius, blur }
+   */
+  draw({ frameA, frameB, mix, cover, width, height, grading, dynamic = false }) {
+    const gl = this.gl;
+    const locations = this.locations;
+
+    gl.activeTexture(gl.TEXTURE0);
+    this.bindTexture(frameA, dynamic);
+    gl.activeTexture(gl.TEXTURE1);
+    if (frameB === frameA) {
+      gl.bindTexture(gl.TEXTURE_2D, this.textures.get(frameA));
+    } else {
+      this.bindTexture(frameB, dynamic);
+    }
+
+    const [r, g, b] = grading.tint;
+
+    gl.uniform2f(locations.u_resolution, width, height);
+    gl.uniform4f(locations.u_cover, cover.offsetX, cover.offsetY, cover.drawWidth, cover.drawHeight);
+    gl.uniform1f(locations.u_mix, frameA === frameB ? 0 : mix);
+    gl.uniform4f(locations.u_tint, r / 255, g / 255, b / 255, grading.tintOpacity);
+    gl.uniform1f(locations.u_glow, grading.glow);
+    gl.uniform1f(locations.u_glowRadius, height * grading.glowRadius);
+    gl.uniform1f(locations.u_blur, grading.blur);
+
+    gl.drawArrays(gl.TRIANGLES, 0, 6);
+  }
+
+  /**
+   * Release GPU resources (the context itself stays with the canvas)
+   */
+  destroy() {
+    const gl = this.gl;
+
+    this.textures.forEach(texture => gl.deleteTexture(texture));
+    this.textures.clear();
+
+    gl.deleteBuffer(this.quad);
+    gl.deleteProgram(this.program);
+  }
+}
+
+WebGLFrameRenderer.vertexShader = `
+  attribute vec2 a_position;
+  uniform vec2 u_resolution;
+  uniform vec4 u_cover;
+  uniform float u_glowRadius;
+  varying vec2 v_texCoord;
+  varying vec2 v_glowCoord;
+
+  void main() {
+    // object-fit: cover, same geometry as the 2D path
+    v_texCoord = (a_position * u_resolution - u_cover.xy) / u_cover.zw;
+
+    // Offset from the centre in glow radii (normalized here: mediump can't hold squared pixels)
+    v_glowCoord = (a_position - 0.5) * u_resolution / u_glowRadius;
+    gl_Position = vec4(a_position.x * 2.0 - 1.0, 1.0 - a_position.y * 2.0, 0.0, 1.0);
+  }
+`;
+
+WebGLFrameRenderer.fragmentShader = `
+  precision mediump float;
+
+  uniform sampler2D u_frameA;
+  uniform sampler2D u_frameB;
+  uniform float u_mix;
+  uniform vec4 u_tint;
+  uniform float u_glow;
+  uniform float u_blur;
+  varying vec2 v_texCoord;
+  varying vec2 v_glowCoord;
+
+  vec3 sampleFrames(vec2 uv) {
+    return mix(texture2D(u_frameA, uv).rgb, texture2D(u_frameB, uv).rgb, u_mix);
+  }
+
+  void main() {
+    vec3 color = sampleFrames(v_texCoord);
+
+    // Zoom blur towards the centre, like moving forward through the forest
+    if (u_blur > 0.0) {
+      vec2 toCenter = vec2(0.5) - v_texCoord;
+      for (int i = 1; i < 6; i++) {
+        color += sampleFrames(v_texCoord + toCenter * u_blur * float(i) / 5.0);
+      }
+      color /= 6.0;
+    }
+
+    // Depth tint
+    color = mix(color, u_tint.rgb, u_tint.a);
+
+    // Centre glow
+    color = mix(color, vec3(1.0), u_glow * max(0.0, 1.0 - length(v_glowCoord)));
+
+    gl_FragColor = vec4(color, 1.0);
+  }
+`;
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = WebGLFrameRenderer;
+}
@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createScroller, scheduler } = require('./helpers');
+
+/**
+ * An overlay ForestAmbient that never ticks on its own
+ */
+function createAmbient(options = {}) {
+  return new ForestAmbient({
+    reducedMotion: false,
+    scheduler,
+    clock: () => 0,
+    quality: new QualityGovernor({ adaptive: false }),
+    ...options
+  });
+}
+
+/**
+ * What renderAt() drew into the overlay canvas
+ */
+function drawingAt(ambient, progress, time) {
+  const { calls } = ambient.canvas.getContext('2d');
+
+  calls.length = 0;
+  ambient.renderAt(progress, time);
+  return calls.splice(0);
+}
+
+test('createRandom repeats its sequence for a seed', () => {
+  const a = AmbientRenderer.createRandom(42);
+  const b = AmbientRenderer.createRandom(42);
+  const c = AmbientRenderer.createRandom(43);
+
+  const sequence = [a(), a(), a()];
+  assert.deepStrictEqual([b(), b(), b()], sequence);
+  assert.notDeepStrictEqual([c(), c(), c()], sequence);
+  sequence.forEach(value => assert.ok(value >= 0 && value < 1));
+
+  assert.strictEqual(AmbientRenderer.createRandom(null), Math.random);
+});
+
+test('renderAt draws the same scene for the same seed, progress and time', t => {
+  const first = createAmbient({ seed: 42 });
+  t.after(() => first.destroy());
+  const second = createAmbient({ seed: 42 });
+  t.after(() => second.destroy());
+
+  const drawing = drawingAt(first, 0.5, 2000);
+  assert.ok(drawing.some(([name]) => name === 'arc'), 'particles and sparkles are drawn');
+  assert.deepStrictEqual(drawingAt(second, 0.5, 2000), drawing);
+
+  // Re-seeded on every call, wherever the scene was before
+  first.renderAt(0.9, 7000);
+  assert.deepStrictEqual(drawingAt(first, 0.5, 2000), drawing);
+});
+
+test('renderAt draws another scene for another seed or time', t => {
+  const ambient = createAmbient({ seed: 42 });
+  t.after(() => ambient.destroy());
+  const other = createAmbient({ seed: 7 });
+  t.after(() => other.destroy());
+
+  const drawing = drawingAt(ambient, 0.5, 2000);
+  assert.notDeepStrictEqual(drawingAt(other, 0.5, 2000), drawing);
+  assert.notDeepStrictEqual(drawingAt(ambient, 0.5, 2500), drawing);
+});
+
+test('merged into a scroller, the effects are render passes over the frame', async t => {
+  const scroller = await createScroller();
+  t.after(() => scroller.destroy());
+  const ambient = createAmbient({ scroller, seed: 42 });
+  t.after(() => ambient.destroy());
+
+  assert.deepStrictEqual(scroller.getPasses(), [
+    'frames',
+    'ambient-fog',
+    'ambient-light-rays',
+    'ambient-particles',
+    'ambient-sparkles',
+    'ambient-burst',
+    'ambient-vignette'
+  ]);
+
+  const { calls } = scroller.ctx;
+  calls.length = 0;
+
+  const { frame, source } = ambient.renderAt(0.5, 2000);
+  assert.strictEqual(frame, 59.5);
+  assert.strictEqual(source.mix, 0.5);
+
+  const drawing = calls.splice(0);
+  ambient.renderAt(0.5, 2000);
+  assert.deepStrictEqual(calls, drawing);
+});
+
+test('merged into a scroller, the atmosphere tint goes into its grading, drawn once', async t => {
+  const scroller = await createScroller();
+  t.after(() => scroller.destroy());
+
+  const tintFills = () => {
+    const { calls } = scroller.ctx;
+    calls.length = 0;
+    scroller.renderAt(0, 0);
+    return calls.filter(([name, key, value]) => name === 'set' && key === 'fillStyle' && /^rgba\(/.test(value) &&
+      !/^rgba\(255, 255, 255/.test(value));
+  };
+
+  const ambient = createAmbient({ scroller, seed: 42, preset: 'dusk' });
+  t.after(() => ambient.destroy()); // again after the check below: a no-op
+  const [r, g, b, alpha] = ForestAmbient.presets.dusk.colorTint;
+  assert.deepStrictEqual(scroller.getDepthGrading(0).tint, [r, g, b]);
+  assert.strictEqual(scroller.getDepthGrading(0).tintOpacity, alpha);
+  assert.deepStrictEqual(tintFills().filter(([, , value]) => value === `rgba(${r}, ${g}, ${b}, ${alpha})`).length, 1);
+
+  // Without a preset, timeline or colorTint the scroller keeps its own grading
+  ambient.destroy();
+  assert.deepStrictEqual(scroller.getDepthGrading(0).tint, ForestScroller.defaultGrading.tint);
+
+  const plain = createAmbient({ scroller, seed: 42 });
+  t.after(() => plain.destroy());
+  assert.strictEqual(scroller.gradingOverride, null);
+});
+
+test('in reduced motion, merged effects keep only the passes that stand still', async t => {
+  const scroller = await createScroller();
+  t.after(() => scroller.destroy());
+  const ambient = createAmbient({ scroller, seed: 42, reducedMotion: true });
+  t.after(() => ambient.destroy());
+
+  assert.deepStrictEqual(scroller.getPasses(), [
+    'frames',
+    'ambient-fog',
+    'ambient-light-rays',
+    'ambient-vignette'
+  ]);
+});
@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+require('./helpers');
+
+const companies = [
+  { id: 'genera', name: 'Genera', order: 2 },
+  { id: 'florece', name: 'Florece.AI', order: 1 }
+];
+
+/**
+ * A portfolio section like index.html's, removed after the test
+ */
+function createSection(t) {
+  const section = document.createElement('section');
+  section.innerHTML = `
+    <ul class="dropdown-menu"></ul>
+    <div class="portfolio-grid"><p class="portfolio-status" role="status">Loading…</p></div>`;
+  document.body.appendChild(section);
+  t.after(() => section.remove());
+
+  return {
+    grid: section.querySelector('.portfolio-grid'),
+    menu: section.querySelector('.dropdown-menu'),
+    status: section.querySelector('.portfolio-status')
+  };
+}
+
+/**
+ * A ForestPortfolio once it emitted ready or error
+ */
+async function createPortfolio(t, options) {
+  const portfolio = new ForestPortfolio({ reveal: false, ...options });
+  t.after(() => portfolio.destroy());
+
+  await new Promise(resolve => {
+    portfolio.once('ready', resolve);
+    portfolio.once('error', resolve);
+  });
+  return portfolio;
+}
+
+test('renders the cards and menu in order, hides the status and scrolls to the deep-linked card', async t => {
+  const { grid, menu, status } = createSection(t);
+  const scrolled = [];
+  window.HTMLElement.prototype.scrollIntoView = function () { scrolled.push(this.id); }; // jsdom has none
+  t.after(() => delete window.HTMLElement.prototype.scrollIntoView);
+  window.location.hash = '#genera';
+  t.after(() => { window.location.hash = ''; });
+
+  await createPortfolio(t, { grid, menu, status, data: companies });
+
+  assert.deepStrictEqual([...grid.querySelectorAll('.portfolio-card')].map(card => card.id), ['florece', 'genera']);
+  assert.deepStrictEqual([...menu.querySelectorAll('a')].map(link => link.getAttribute('href')), ['#florece', '#genera']);
+  assert.strictEqual(status.hidden, true);
+  assert.deepStrictEqual(scrolled, ['genera']);
+});
+
+test('a failed load shows an error with a retry, and the retry renders the cards', async t => {
+  const { grid, menu, status } = createSection(t);
+  const errors = console.error;
+  console.error = () => {};
+  t.after(() => { console.error = errors; });
+
+  const portfolio = await createPortfolio(t, { grid, menu, status, data: Promise.reject(new Error('404')) });
+
+  assert.strictEqual(status.hidden, false);
+  assert.strictEqual(status.dataset.state, 'error');
+  assert.strictEqual(grid.querySelectorAll('.portfolio-card').length, 0);
+
+  portfolio.config.data = companies;
+  const ready = new Promise(resolve => portfolio.once('ready', resolve));
+  status.querySelector('.portfolio-retry').click();
+  await ready;
+
+  assert.strictEqual(grid.querySelectorAll('.portfolio-card').length, 2);
+  assert.strictEqual(status.hidden, true);
+
+  portfolio.destroy();
+  assert.strictEqual(status.hidden, false);
+  assert.strictEqual(status.textContent, 'Loading…');
+});
@@ -0,0 +1,230 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { getEventListeners } = require('node:events');
+const { createFrame, createScroller, scheduler } = require('./helpers');
+
+test('calculateCoverDimensions fills a wider canvas by width and centers vertically', async t => {
+  const scroller = await createScroller();
+  t.after(() => scroller.destroy());
+
+  assert.deepStrictEqual(scroller.calculateCoverDimensions(1600, 600, createFrame('a', 1600, 900)), {
+    drawWidth: 1600,
+    drawHeight: 900,
+    offsetX: 0,
+    offsetY: -150
+  });
+});
+
+test('calculateCoverDimensions fills a taller canvas by height and centers horizontally', async t => {
+  const scroller = await createScroller();
+  t.after(() => scroller.destroy());
+
+  assert.deepStrictEqual(scroller.calculateCoverDimensions(800, 900, createFrame('a', 1600, 900)), {
+    drawWidth: 1600,
+    drawHeight: 900,
+    offsetX: -400,
+    offsetY: 0
+  });
+
+  // Videos report their size as videoWidth / videoHeight
+  const video = { videoWidth: 1920, videoHeight: 1080, width: 300, height: 150 };
+  assert.strictEqual(scroller.calculateCoverDimensions(800, 900, video).drawWidth, 1600);
+});
+
+test('calculateCoverDimensions overscans and shifts the crop for parallax', async t => {
+  const scroller = await createScroller();
+  t.after(() => scroller.destroy());
+  const dimensions = scroller.calculateCoverDimensions(1600, 900, createFrame('a'), { range: 0.05, x: 0.01, y: -0.02 });
+
+  assert.ok(Math.abs(dimensions.drawWidth - 1760) < 1e-9);
+  assert.ok(Math.abs(dimensions.drawHeight - 990) < 1e-9);
+  assert.ok(Math.abs(dimensions.offsetX - -64) < 1e-9);
+  assert.ok(Math.abs(dimensions.offsetY - -63) < 1e-9);
+});
+
+test('getSequenceFrames blends the frames on either side by the fractional part', async t => {
+  const scroller = await createScroller();
+  t.after(() => scroller.destroy());
+  const { frameA, frameB, mix, dynamic } = scroller.getSequenceFrames(10.25);
+
+  assert.strictEqual(frameA.label, 'frame-10');
+  assert.strictEqual(frameB.label, 'frame-11');
+  assert.strictEqual(mix, 0.25);
+  assert.strictEqual(dynamic, false);
+});
+
+test('getSequenceFrames blends between the nearest loaded frames while the sequence streams in', async t => {
+  const scroller = await createScroller({ totalFrames: 9, loadedFrames: [0, 4, 8] });
+  t.after(() => scroller.destroy());
+
+  const between = scroller.getSequenceFrames(5);
+  assert.strictEqual(between.frameA.label, 'frame-4');
+  assert.strictEqual(between.frameB.label, 'frame-8');
+  assert.strictEqual(between.mix, 0.25);
+
+  const exact = scroller.getSequenceFrames(4);
+  assert.strictEqual(exact.frameA.label, 'frame-4');
+  assert.strictEqual(exact.mix, 0);
+});
+
+test('getSequenceFrames holds the only loaded side, and has nothing without frames', async t => {
+  const scroller = await createScroller({ totalFrames: 9, loadedFrames: [6] });
+  t.after(() => scroller.destroy());
+
+  const before = scroller.getSequenceFrames(2);
+  assert.strictEqual(before.frameA.label, 'frame-6');
+  assert.strictEqual(before.frameB.label, 'frame-6');
+  assert.strictEqual(before.mix, 0);
+
+  scroller.images = [];
+  assert.strictEqual(scroller.getSequenceFrames(2), null);
+});
+
+test('getSequenceFrames shows the nearer frame when the quality tier turns blending off', async t => {
+  const tier = QualityGovernor.tiers.findIndex(settings => !settings.frameBlending);
+  const scroller = await createScroller({ quality: new QualityGovernor({ adaptive: false, initialTier: tier }) });
+  t.after(() => scroller.destroy());
+
+  const early = scroller.getSequenceFrames(10.4);
+  assert.strictEqual(early.frameA.label, 'frame-10');
+  assert.strictEqual(early.mix, 0);
+
+  const late = scroller.getSequenceFrames(10.6);
+  assert.strictEqual(late.frameA.label, 'frame-11');
+  assert.strictEqual(late.mix, 0);
+});
+
+test('renderAt draws the frame at a progress and hands passes its time', async t => {
+  const scroller = await createScroller();
+  t.after(() => scroller.destroy());
+  const seen = [];
+
+  scroller.addPass({ name: 'probe', render: (ctx, info) => seen.push(info) });
+
+  const { frame, progress, source } = scroller.renderAt(0.5, 2000);
+  assert.strictEqual(frame, 59.5);
+  assert.strictEqual(progress, 0.5);
+  assert.strictEqual(source.frameA.label, 'frame-59');
+  assert.strictEqual(source.frameB.label, 'frame-60');
+  assert.strictEqual(source.mix, 0.5);
+
+  const info = seen[seen.length - 1];
+  assert.strictEqual(info.frame, 59.5);
+  assert.strictEqual(info.time, 2000);
+  assert.strictEqual(info.width, 1600);
+  assert.strictEqual(info.height, 900);
+
+  assert.deepStrictEqual(scroller.renderAt(2, 0).progress, 1);
+});
+
+test('renderAt gives the same drawing for the same progress and time', async t => {
+  const scroller = await createScroller();
+  t.after(() => scroller.destroy());
+  const { calls } = scroller.ctx;
+
+  calls.length = 0;
+  scroller.renderAt(0.3, 500);
+  const first = calls.splice(0);
+  scroller.renderAt(0.3, 500);
+
+  assert.deepStrictEqual(calls, first);
+});
+
+test('passes below an animated pass are drawn once while the frame rests', async t => {
+  const scroller = await createScroller();
+  t.after(() => scroller.destroy());
+  const drawn = [];
+
+  scroller.addPass({ name: 'static', order: 10, render: () => drawn.push('static') });
+  scroller.addPass({ name: 'moving', order: 20, animated: true, render: () => drawn.push('moving') });
+
+  [0, 16, 33, 50].forEach(time => scroller.drawFrameWithBlending(30, time));
+  assert.deepStrictEqual(drawn.splice(0), ['static', 'moving', 'static', 'moving', 'moving', 'moving']);
+
+  // Something else changed: draw them again
+  scroller.requestRender();
+  scroller.drawFrameWithBlending(30, 66);
+  assert.deepStrictEqual(drawn.splice(0), ['static', 'moving']);
+
+  // A new frame never comes from the cache
+  scroller.drawFrameWithBlending(31, 83);
+  assert.deepStrictEqual(drawn.splice(0), ['static', 'moving']);
+});
+
+test('enforceMemoryBudget evicts the least recently used frames but keeps keyframes', async t => {
+  const scroller = await createScroller({ totalFrames: 40 });
+  t.after(() => scroller.destroy());
+
+  scroller.loader = new FrameLoader({ loadFrame: () => Promise.resolve() });
+  scroller.memoryBudget = scroller.getFrameBytes(scroller.images[0]) * 16;
+  scroller.currentFrame = 39;
+  scroller.enforceMemoryBudget();
+
+  assert.strictEqual(scroller.loadedImages.size, 16);
+  assert.strictEqual(scroller.evictedFrames.size, 24);
+  [0, 16, 32].forEach(index => assert.ok(scroller.loadedImages.has(index), `keyframe ${index} stays`));
+  [29, 39].forEach(index => assert.ok(scroller.loadedImages.has(index), `frame ${index} near the position stays`));
+});
+
+test('a sequence declared broken stops loading and retrying frames', async t => {
+  const scroller = await createScroller({ totalFrames: 10, failureTolerance: 0.1 });
+  t.after(() => scroller.destroy());
+
+  const signals = [];
+  scroller.loader = new FrameLoader({
+    loadFrame: (index, signal) => {
+      signals.push(signal);
+      return new Promise(() => {}); // still downloading
+    }
+  });
+  scroller.loader.enqueue([5, 6]);
+  await new Promise(resolve => setTimeout(resolve, 0));
+  assert.strictEqual(signals.length, 2);
+
+  const errors = [];
+  scroller.on('error', ({ error }) => errors.push(error));
+
+  scroller.recordFrameFailure(1, 'frame-1.webp', 4, new Error('404'));
+  assert.ok(scroller.loader, 'one failure is tolerated');
+
+  scroller.recordFrameFailure(2, 'frame-2.webp', 4, new Error('404'));
+  assert.strictEqual(errors.length, 1);
+  assert.strictEqual(scroller.loader, null);
+  assert.ok(signals.every(signal => signal.aborted), 'in-flight loads are aborted');
+});
+
+test('past an unheld end of the range, rendering is suspended and a follower pauses with it', async t => {
+  const scroller = await createScroller({ holdEnd: false });
+  t.after(() => scroller.destroy());
+  const ambient = new ForestAmbient({ reducedMotion: false, scheduler, clock: () => 0 });
+  t.after(() => ambient.destroy());
+  ambient.follow(scroller);
+  assert.ok(ambient.decayInterval, 'the velocity decay runs while visible');
+
+  scroller.updateRangeState('before'); // held
+  assert.strictEqual(scroller.isSuspended(), false);
+
+  scroller.updateRangeState('after');
+  assert.strictEqual(scroller.isSuspended(), true);
+  assert.strictEqual(scroller.canvas.parentElement.dataset.forestRange, 'after');
+  assert.strictEqual(ambient.isSuspended(), true);
+  assert.strictEqual(ambient.decayInterval, null);
+
+  scroller.updateRangeState('active');
+  assert.strictEqual(scroller.isSuspended(), false);
+  assert.ok(ambient.decayInterval);
+});
+
+test('wait leaves no abort listener behind once it resolves', async t => {
+  const scroller = await createScroller();
+  t.after(() => scroller.destroy());
+  const controller = new AbortController();
+
+  await scroller.wait(1, controller.signal);
+  await scroller.wait(1, controller.signal);
+  assert.strictEqual(getEventListeners(controller.signal, 'abort').length, 0);
+
+  const aborted = scroller.wait(1000, controller.signal);
+  controller.abort();
+  await assert.rejects(aborted, { name: 'AbortError' });
+});
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+require('./helpers');
+
+test('a fast connection streams the whole sequence until canPrefetch says stop', t => {
+  let canPrefetch = true;
+  const loader = new FrameLoader({ loadFrame: () => Promise.resolve(), lookahead: 5, canPrefetch: () => canPrefetch });
+  t.after(() => loader.destroy());
+
+  assert.strictEqual(loader.getStats().profile, '4g');
+  assert.strictEqual(loader.isWanted(100), true);
+
+  // Memory full: only the window around the target
+  canPrefetch = false;
+  assert.strictEqual(loader.isWanted(100), false);
+  assert.strictEqual(loader.isWanted(3), true);
+});
+
+test('getLevel puts every keyframeInterval-th frame on the coarsest level', () => {
+  const loader = new FrameLoader({ loadFrame: () => Promise.resolve() });
+
+  assert.deepStrictEqual([0, 16, 8, 4, 2, 1, 17].map(index => loader.getLevel(index)), [0, 0, 1, 2, 3, 4, 4]);
+  loader.destroy();
+});
@@ -0,0 +1,146 @@
+/**
+ * Test helpers - a jsdom page with the forest scripts loaded as globals (the
+ * way index.html loads them) and 2D contexts that record what is drawn, so the
+ * suite runs in Node without node-canvas or a GPU
+ *
+ * @version 1.0.0
+ * @author Greenhouse
+ */
+
+const { JSDOM } = require('jsdom');
+
+const dom = new JSDOM(`<!DOCTYPE html>
+  <div class="forest-container"><canvas id="forest-canvas"></canvas></div>`, { pretendToBeVisual: true });
+
+global.window = dom.window;
+global.document = dom.window.document;
+
+if (typeof navigator === 'undefined') {
+  global.navigator = dom.window.navigator; // Node 20 has none
+}
+
+// Same order as the script tags in index.html
+[
+  'forest-events',
+  'quality-governor',
+  'forest-parallax',
+  'frame-loader',
+  'forest-scroller',
+  'ambient-renderer',
+  'forest-ambient',
+  'forest-portfolio'
+].forEach(name => {
+  const exported = require(`../assets/js/${name}`);
+  global[exported.name] = exported;
+});
+
+// The modules log their progress; keep warnings and errors
+console.log = () => {};
+
+/**
+ * A 2D context that records every call and property set as
+ * [name, ...arguments], with gradients and images by their label
+ */
+function createRecordingContext(canvas) {
+  const calls = [];
+  const describe = value => (value && typeof value === 'object' ? value.label || 'object' : value);
+  const record = name => (...args) => {
+    calls.push([name, ...args.map(describe)]);
+  };
+  const gradient = (...args) => {
+    record('gradient')(...args);
+    return { label: 'gradient', addColorStop: record('addColorStop') };
+  };
+
+  const target = {
+    canvas,
+    calls,
+    createLinearGradient: gradient,
+    createRadialGradient: gradient
+  };
+
+  return new Proxy(target, {
+    get(context, key) {
+      if (key in context) return context[key];
+      return typeof key === 'string' ? record(key) : undefined;
+    },
+    set(context, key, value) {
+      calls.push(['set', key, describe(value)]);
+      return true;
+    }
+  });
+}
+
+window.HTMLCanvasElement.prototype.getContext = function (type) {
+  if (type !== '2d') return null; // no WebGL: the scroller draws in 2D
+
+  if (!this.recordingContext) {
+    this.recordingContext = createRecordingContext(this);
+  }
+
+  return this.recordingContext;
+};
+
+/**
+ * Give an element a layout size (jsdom doesn't lay out)
+ */
+function setSize(element, width, height) {
+  Object.defineProperty(element, 'clientWidth', { value: width, configurable: true });
+  Object.defineProperty(element, 'clientHeight', { value: height, configurable: true });
+}
+
+/**
+ * A decoded frame image
+ */
+function createFrame(label, width = 1600, height = 900) {
+  return { label, width, height, naturalWidth: width, complete: true };
+}
+
+// A render loop that never ticks: frames are drawn by renderAt() only
+const scheduler = { requestFrame: () => 1, cancelFrame: () => {} };
+
+/**
+ * A ForestScroller that takes its frames from `loadedFrames` (indices,
+ * default all) instead of the network, on a 1600x900 canvas
+ */
+class TestScroller extends ForestScroller {
+  async prepareFrameSequence() {}
+
+  async preloadImages() {
+    const frames = this.options.loadedFrames || [...Array(this.config.totalFrames).keys()];
+
+    frames.forEach(index => {
+      this.images[index] = createFrame(`frame-${index}`);
+      this.loadedImages.add(index);
+    });
+
+    this.drawFrame(this.currentFrame);
+  }
+
+  setupCanvas() {
+    const canvas = document.getElementById(this.config.canvasId);
+    setSize(canvas.parentElement, 1600, 900);
+    setSize(canvas, 1600, 900);
+
+    super.setupCanvas();
+  }
+}
+
+/**
+ * A ready TestScroller (see above)
+ */
+async function createScroller(options = {}) {
+  const scroller = new TestScroller({
+    renderer: '2d',
+    reducedMotion: false,
+    scheduler,
+    clock: () => 0,
+    quality: new QualityGovernor({ adaptive: false }),
+    ...options
+  });
+
+  await new Promise(resolve => scroller.once('ready', resolve));
+  return scroller;
+}
+
+module.exports = { createFrame, createScroller, scheduler, setSize };